@@ -0,0 +1,196 @@
+function trimCommon(a, b) {
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) {
+    start += 1;
+  }
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA -= 1;
+    endB -= 1;
+  }
+  return { start, endA, endB };
+}
+
+function myersMatches(a, b) {
+  const n = a.length;
+  const m = b.length;
+  const max = n + m;
+  if (max === 0) return [];
+  const offset = max;
+  const v = new Int32Array(2 * max + 2);
+  const trace = [];
+
+  let found = false;
+  for (let d = 0; d <= max && !found; d += 1) {
+    trace.push(v.slice());
+    for (let k = -d; k <= d; k += 2) {
+      let x;
+      if (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])) {
+        x = v[offset + k + 1];
+      } else {
+        x = v[offset + k - 1] + 1;
+      }
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) {
+        x += 1;
+        y += 1;
+      }
+      v[offset + k] = x;
+      if (x >= n && y >= m) {
+        found = true;
+        break;
+      }
+    }
+  }
+
+  const matches = [];
+  let x = n;
+  let y = m;
+  for (let d = trace.length - 1; d >= 0; d -= 1) {
+    const snapshot = trace[d];
+    const k = x - y;
+    let prevK;
+    if (k === -d || (k !== d && snapshot[offset + k - 1] < snapshot[offset + k + 1])) {
+      prevK = k + 1;
+    } else {
+      prevK = k - 1;
+    }
+    const prevX = snapshot[offset + prevK];
+    const prevY = prevX - prevK;
+    while (x > prevX && y > prevY) {
+      x -= 1;
+      y -= 1;
+      matches.push([x, y]);
+    }
+    if (d > 0) {
+      x = prevX;
+      y = prevY;
+    }
+  }
+  while (x > 0 && y > 0) {
+    x -= 1;
+    y -= 1;
+    matches.push([x, y]);
+  }
+
+  return matches.reverse();
+}
+
+export function matchSequences(a, b) {
+  const { start, endA, endB } = trimCommon(a, b);
+  const matches = [];
+  for (let i = 0; i < start; i += 1) {
+    matches.push([i, i]);
+  }
+  const middle = myersMatches(a.slice(start, endA), b.slice(start, endB));
+  for (const [i, j] of middle) {
+    matches.push([i + start, j + start]);
+  }
+  for (let i = endA, j = endB; i < a.length; i += 1, j += 1) {
+    matches.push([i, j]);
+  }
+  return matches;
+}
+
+export function computeHunks(a, b) {
+  const hunks = [];
+  let lastA = 0;
+  let lastB = 0;
+  const matches = matchSequences(a, b);
+  matches.push([a.length, b.length]);
+  for (const [i, j] of matches) {
+    if (i > lastA || j > lastB) {
+      hunks.push({ aStart: lastA, aEnd: i, bStart: lastB, bEnd: j });
+    }
+    lastA = i + 1;
+    lastB = j + 1;
+  }
+  return hunks;
+}
+
+function toLines(text) {
+  const lines = String(text || '').replace(/\r\n/g, '\n').replace(/\r/g, '\n').split('\n');
+  if (lines.length && lines[lines.length - 1] === '') lines.pop();
+  return lines;
+}
+
+function formatRange(start, count) {
+  if (count === 0) return `${start},0`;
+  if (count === 1) return `${start + 1}`;
+  return `${start + 1},${count}`;
+}
+
+function groupHunks(hunks, context) {
+  const groups = [];
+  for (const hunk of hunks) {
+    const current = groups[groups.length - 1];
+    if (current && hunk.aStart - current[current.length - 1].aEnd <= context * 2) {
+      current.push(hunk);
+    } else {
+      groups.push([hunk]);
+    }
+  }
+  return groups;
+}
+
+function formatDiff(oldText, newText, { oldLabel, newLabel, context }, formatHunk) {
+  const a = toLines(oldText);
+  const b = toLines(newText);
+  const hunks = computeHunks(a, b);
+  if (!hunks.length) return '';
+
+  const output = [`--- ${oldLabel}`, `+++ ${newLabel}`];
+  for (const group of groupHunks(hunks, context)) {
+    const first = group[0];
+    const last = group[group.length - 1];
+    const aFrom = Math.max(0, first.aStart - context);
+    const aTo = Math.min(a.length, last.aEnd + context);
+    const bFrom = first.bStart - (first.aStart - aFrom);
+    const bTo = last.bEnd + (aTo - last.aEnd);
+    output.push(`@@ -${formatRange(aFrom, aTo - aFrom)} +${formatRange(bFrom, bTo - bFrom)} @@`);
+
+    let cursor = aFrom;
+    for (const hunk of group) {
+      for (let i = cursor; i < hunk.aStart; i += 1) output.push(` ${a[i]}`);
+      output.push(...formatHunk(a.slice(hunk.aStart, hunk.aEnd), b.slice(hunk.bStart, hunk.bEnd)));
+      cursor = hunk.aEnd;
+    }
+    for (let i = cursor; i < aTo; i += 1) output.push(` ${a[i]}`);
+  }
+
+  return `${output.join('\n')}\n`;
+}
+
+export function formatUnifiedDiff(oldText, newText, { oldLabel = 'a', newLabel = 'b', context = 3 } = {}) {
+  return formatDiff(oldText, newText, { oldLabel, newLabel, context }, (removed, added) => [
+    ...removed.map((line) => `-${line}`),
+    ...added.map((line) => `+${line}`),
+  ]);
+}
+
+function toWords(lines) {
+  return lines.join('\n').match(/\n|[^\S\n]+|[^\s]+/g) || [];
+}
+
+function formatWordHunk(removed, added) {
+  const a = toWords(removed);
+  const b = toWords(added);
+  let text = '';
+  let lastA = 0;
+  let lastB = 0;
+  const matches = matchSequences(a, b);
+  matches.push([a.length, b.length]);
+  for (const [i, j] of matches) {
+    if (i > lastA) text += `[-${a.slice(lastA, i).join('')}-]`;
+    if (j > lastB) text += `{+${b.slice(lastB, j).join('')}+}`;
+    if (i < a.length) text += a[i];
+    lastA = i + 1;
+    lastB = j + 1;
+  }
+  return text.split('\n').map((line) => ` ${line}`);
+}
+
+export function formatWordDiff(oldText, newText, { oldLabel = 'a', newLabel = 'b', context = 3 } = {}) {
+  return formatDiff(oldText, newText, { oldLabel, newLabel, context }, formatWordHunk);
+}
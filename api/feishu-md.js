@@ -1,4 +1,9 @@
+import { formatMarkdownTable } from './table-format.js';
+
 const DEFAULT_ALIGN = 1;
+const SHEET_MARKER_PATTERN = /^<!-- feishu-sheet: (\S+) -->$/;
+const FILE_LINK_PATTERN = /^\[((?:\\.|[^\]\\])*)\]\(([^)\s]+)\)$/;
+export const FILE_LINK_PREFIX = 'feishu-file:';
 
 export const BLOCK_TYPE = {
   page: 1,
@@ -18,9 +23,12 @@ export const BLOCK_TYPE = {
   quote: 15,
   todo: 17,
   divider: 22,
+  file: 23,
   image: 27,
+  sheet: 30,
   table: 31,
   table_cell: 32,
+  view: 33,
   quote_container: 34,
 };
 
@@ -42,6 +50,12 @@ function safeEncodeUrl(value) {
   }
 }
 
+function isAttachmentHref(href) {
+  if (href.startsWith(FILE_LINK_PREFIX)) return href.length > FILE_LINK_PREFIX.length;
+  if (/^[a-z][\w+.-]*:/i.test(href) || /^[#/?]/.test(href)) return false;
+  return !/\.md$/i.test(safeDecodeUrl(href.replace(/[?#].*$/, '')));
+}
+
 function textElementsToMarkdown(elements) {
   if (!Array.isArray(elements) || elements.length === 0) return '';
   const inline = elements.length > 1;
@@ -117,9 +131,12 @@ function blockTypeFromBlock(block) {
   if (block.quote) return BLOCK_TYPE.quote;
   if (block.todo) return BLOCK_TYPE.todo;
   if (block.divider) return BLOCK_TYPE.divider;
+  if (block.file) return BLOCK_TYPE.file;
   if (block.image) return BLOCK_TYPE.image;
+  if (block.sheet) return BLOCK_TYPE.sheet;
   if (block.table) return BLOCK_TYPE.table;
   if (block.table_cell) return BLOCK_TYPE.table_cell;
+  if (block.view) return BLOCK_TYPE.view;
   if (block.quote_container) return BLOCK_TYPE.quote_container;
   return null;
 }
@@ -199,9 +216,22 @@ function renderBlock(block, blockMap, indentLevel = 0) {
       lines.push(`${indent}---`.trimEnd());
       break;
     }
+    case BLOCK_TYPE.file: {
+      const name = (block.file?.name || block.file?.token || '').replace(/[[\]]/g, '\\$&');
+      const href = block.file?.href || `${FILE_LINK_PREFIX}${block.file?.token || ''}`;
+      lines.push(`${indent}[${name}](${href})`);
+      break;
+    }
     case BLOCK_TYPE.image: {
-      const token = block.image?.token || '';
-      lines.push(`${indent}![](${token})`.trimEnd());
+      const href = block.image?.href || block.image?.token || '';
+      lines.push(`${indent}![](${href})`.trimEnd());
+      break;
+    }
+    case BLOCK_TYPE.sheet: {
+      lines.push(`<!-- feishu-sheet: ${block.sheet?.token || ''} -->`);
+      if (block.sheet?.values?.length) {
+        lines.push(formatMarkdownTable(block.sheet.values));
+      }
       break;
     }
     case BLOCK_TYPE.table: {
@@ -556,6 +586,14 @@ export function markdownToBlocks(markdown) {
     const hasHardBreak = /[ \t]{2,}$/.test(line);
     const trimmed = line.trim();
 
+    const sheetMatch = trimmed.match(SHEET_MARKER_PATTERN);
+    if (sheetMatch) {
+      flushParagraph();
+      blocks.push({ block_type: BLOCK_TYPE.sheet, sheet: { token: sheetMatch[1] } });
+      i = parseMarkdownTable(lines, i + 1)?.nextIndex ?? i + 1;
+      continue;
+    }
+
     const htmlTable = parseHtmlTable(lines, i);
     if (htmlTable) {
       flushParagraph();
@@ -635,13 +673,43 @@ export function markdownToBlocks(markdown) {
       continue;
     }
 
+    const fileMatch = pendingParagraph.length ? null : trimmed.match(FILE_LINK_PATTERN);
+    if (fileMatch && isAttachmentHref(fileMatch[2])) {
+      const name = fileMatch[1].replace(/\\([[\]])/g, '$1');
+      const href = fileMatch[2];
+      blocks.push({
+        block_type: BLOCK_TYPE.file,
+        file: {
+          token: href.startsWith(FILE_LINK_PREFIX) ? href.slice(FILE_LINK_PREFIX.length) : '',
+          name,
+        },
+        _attachment: {
+          href,
+          fallback: createBlockPayload({
+            type: BLOCK_TYPE.text,
+            key: 'text',
+            elements: parseInlineMarkdown(trimmed),
+          }),
+        },
+      });
+      i += 1;
+      continue;
+    }
+
     const imageMatch = trimmed.match(/^!\[[^\]]*\]\(([^)]+)\)$/);
     if (imageMatch) {
       flushParagraph();
-      const token = imageMatch[1];
       blocks.push({
         block_type: BLOCK_TYPE.image,
-        image: { token },
+        image: { token: '' },
+        _attachment: {
+          href: imageMatch[1],
+          fallback: createBlockPayload({
+            type: BLOCK_TYPE.text,
+            key: 'text',
+            elements: parseInlineMarkdown(trimmed),
+          }),
+        },
       });
       i += 1;
       continue;
@@ -684,10 +752,156 @@ export function markdownToBlocks(markdown) {
   return { title, blocks };
 }
 
+function findTitleLineIndex(lines) {
+  let i = 0;
+  while (i < lines.length && lines[i].trim() === '') i += 1;
+  return i < lines.length && lines[i].startsWith('# ') ? i : -1;
+}
+
+export function pageTitleToMarkdown(pageBlock) {
+  return textElementsToMarkdown(pageBlock?.page?.elements || []).trim();
+}
+
+export function extractMarkdownTitle(markdown) {
+  const lines = splitMarkdownLines(markdown);
+  const index = findTitleLineIndex(lines);
+  return index === -1 ? '' : lines[index].slice(2).trim();
+}
+
+export function replaceMarkdownTitle(markdown, title) {
+  const lines = String(markdown || '').split('\n');
+  const index = findTitleLineIndex(lines.map((line) => line.replace(/\r$/, '')));
+  if (index === -1) {
+    return `# ${title}\n---\n${markdown}`;
+  }
+  const eol = lines[index].endsWith('\r') ? '\r' : '';
+  lines[index] = `# ${title}${eol}`;
+  return lines.join('\n');
+}
+
 export function inlineMarkdownToElements(text) {
   return parseInlineMarkdown(text);
 }
 
+const TEXT_BLOCK_KEYS = {
+  [BLOCK_TYPE.text]: 'text',
+  [BLOCK_TYPE.heading1]: 'heading1',
+  [BLOCK_TYPE.heading2]: 'heading2',
+  [BLOCK_TYPE.heading3]: 'heading3',
+  [BLOCK_TYPE.heading4]: 'heading4',
+  [BLOCK_TYPE.heading5]: 'heading5',
+  [BLOCK_TYPE.heading6]: 'heading6',
+  [BLOCK_TYPE.heading7]: 'heading7',
+  [BLOCK_TYPE.heading8]: 'heading8',
+  [BLOCK_TYPE.heading9]: 'heading9',
+  [BLOCK_TYPE.bullet]: 'bullet',
+  [BLOCK_TYPE.ordered]: 'ordered',
+  [BLOCK_TYPE.code]: 'code',
+  [BLOCK_TYPE.quote]: 'quote',
+  [BLOCK_TYPE.todo]: 'todo',
+};
+
+const SIGNATURE_STYLE_KEYS = ['bold', 'italic', 'strikethrough', 'underline', 'inline_code'];
+
+export function textBlockKey(block) {
+  if (!block) return null;
+  return TEXT_BLOCK_KEYS[blockTypeFromBlock(block)] || null;
+}
+
+function normalizeElements(elements) {
+  const runs = [];
+  for (const element of elements || []) {
+    let run;
+    if (element?.text_run) {
+      const style = element.text_run.text_element_style || {};
+      const flags = SIGNATURE_STYLE_KEYS.filter((key) => style[key]);
+      if (style.link?.url) flags.push(`link:${safeDecodeUrl(style.link.url)}`);
+      run = { content: element.text_run.content || '', style: flags.join(',') };
+    } else if (element?.equation) {
+      run = { content: element.equation.content || '', style: 'equation' };
+    } else if (element) {
+      run = { content: JSON.stringify(element), style: 'other' };
+    }
+    if (!run || !run.content) continue;
+    const last = runs[runs.length - 1];
+    if (last && last.style === run.style) {
+      last.content += run.content;
+    } else {
+      runs.push(run);
+    }
+  }
+  return runs.map((run) => `${run.style}|${run.content}`);
+}
+
+function trimTrailingEmpty(items) {
+  const result = items.slice();
+  while (result.length && result[result.length - 1].length === 0) result.pop();
+  return result;
+}
+
+function tableRowsSignature(block, blockMap) {
+  if (block._table) {
+    return block._table.rows.map((row) =>
+      row.map((cell) =>
+        trimTrailingEmpty(
+          (cell || '').trim()
+            ? cell.split('\n').map((line) => normalizeElements(parseInlineMarkdown(line)))
+            : []
+        )
+      )
+    );
+  }
+  const columnSize =
+    block.table?.property?.column_size ?? block.table?.property?.columnSize ?? 0;
+  const cells = Array.isArray(block.table?.cells) ? block.table.cells : [];
+  const rows = [];
+  for (let i = 0; i < cells.length; i += 1) {
+    const cellBlock = blockMap?.get(cells[i]);
+    const lines = (cellBlock?.children || []).map((childId) => {
+      const child = blockMap.get(childId);
+      const key = textBlockKey(child);
+      return key ? normalizeElements(child[key]?.elements) : [`block:${child?.block_type}`];
+    });
+    const rowIndex = columnSize ? Math.floor(i / columnSize) : 0;
+    while (rows.length <= rowIndex) rows.push([]);
+    rows[rowIndex].push(trimTrailingEmpty(lines));
+  }
+  return rows;
+}
+
+export function blockSignature(block, blockMap) {
+  const type = blockTypeFromBlock(block);
+  const hasChildren = Array.isArray(block.children) && block.children.length > 0;
+  const key = TEXT_BLOCK_KEYS[type];
+  if (key) {
+    const parts = [type, normalizeElements(block[key]?.elements)];
+    if (type === BLOCK_TYPE.todo) parts.push(Boolean(block.todo?.style?.done));
+    if (hasChildren) parts.push(`children:${block.children.join(',')}`);
+    return JSON.stringify(parts);
+  }
+  if (type === BLOCK_TYPE.table) {
+    const headerRow = Boolean(block.table?.property?.header_row);
+    return JSON.stringify([type, headerRow, tableRowsSignature(block, blockMap)]);
+  }
+  if (type === BLOCK_TYPE.file) {
+    return JSON.stringify([type, block.file?.token || '']);
+  }
+  if (type === BLOCK_TYPE.view && block.children?.length === 1) {
+    const child = blockMap?.get(block.children[0]);
+    if (child && blockTypeFromBlock(child) === BLOCK_TYPE.file) return blockSignature(child);
+  }
+  if (type === BLOCK_TYPE.image) {
+    return JSON.stringify([type, block.image?.token || '']);
+  }
+  if (type === BLOCK_TYPE.sheet) {
+    return JSON.stringify([type, block.sheet?.token || '']);
+  }
+  if (type === BLOCK_TYPE.divider) {
+    return JSON.stringify([type]);
+  }
+  return JSON.stringify([type, block.block_id || '']);
+}
+
 function parseMarkdownTable(lines, startIndex) {
   if (startIndex + 1 >= lines.length) return null;
   const headerLine = lines[startIndex];
@@ -1,31 +1,220 @@
 import fs from 'node:fs/promises';
 import path from 'node:path';
-import crypto from 'node:crypto';
+import { randomUUID } from 'node:crypto';
 import {
   feishuToMarkdown,
   markdownToBlocks,
   inlineMarkdownToElements,
+  blockSignature,
+  textBlockKey,
+  extractMarkdownTitle,
+  replaceMarkdownTitle,
+  pageTitleToMarkdown,
   BLOCK_TYPE,
 } from './feishu-md.js';
+import { computeHunks } from './diff.js';
+import {
+  columnLetter,
+  sheetCellToText,
+  bitableValueToText,
+  trimTableRows,
+  formatCsv,
+  formatMarkdownTable,
+} from './table-format.js';
+import { mergeText } from './merge.js';
 import {
   readManifest,
   writeManifest,
-  hashFile,
+  hashText,
+  hashMarkdown,
+  hashMarkdownFile,
+  canonicalizeMarkdown,
   sanitizeFilename,
+  assetFileName,
+  ensureUniqueAssetPath,
+  readAssetIndex,
+  recordAsset,
+  ASSETS_DIR,
   ensurePosixPath,
   fileExists,
   deleteLocalFile,
   ensureUniqueFilePathWithFs,
   shouldSyncLocalPath,
+  relocateLocalFile,
+  pruneEmptyDirs,
+  matchMovedFiles,
   buildConflictPath,
   resolveFileType,
+  readBaseSnapshot,
+  writeBaseSnapshot,
+  recordBaseSnapshot,
+  recordHistoryVersion,
+  deleteBaseSnapshot,
+  recordTombstone,
+  checkDeleteLimit,
+  withSyncLock,
+  beginJournalEntry,
+  markJournalEntry,
+  readJournalEntries,
 } from './helpers.js';
 
 export const API_BASE = 'https://open.feishu.cn/open-apis';
 const DELETE_BATCH_SIZE = 100;
 const CREATE_BATCH_SIZE = 100;
+const UPDATE_BATCH_SIZE = 200;
+const API_CONCURRENCY_DEFAULT = 5;
+const ROUND_TRIP_REPORT_LINES = 5;
+const SHEET_ROW_BATCH_SIZE = 1000;
+const TABLE_OBJ_TYPES = new Set(['sheet', 'bitable']);
+const EXPORT_OBJ_TYPES = new Set([...TABLE_OBJ_TYPES, 'file']);
+const ATTACHMENT_UPLOAD_MAX_BYTES = 20 * 1024 * 1024;
+const MEDIA_TOKEN_PATTERN = /^[A-Za-z0-9_-]+$/;
+const REMOTE_IMAGE_TIMEOUT_MS = 30000;
+const IMAGE_SIGNATURES = [
+  [/^\x89PNG/, '.png'],
+  [/^\xFF\xD8\xFF/, '.jpg'],
+  [/^GIF8/, '.gif'],
+  [/^RIFF[\s\S]{4}WEBP/, '.webp'],
+  [/^BM/, '.bmp'],
+  [/^\s*<(\?xml|svg)/, '.svg'],
+];
+
+export const API_RATE_LIMITS = {
+  'docx-read': 5,
+  'docx-write': 3,
+  wiki: 100 / 60,
+  drive: 5,
+  default: 5,
+};
+
+export const API_RETRY_DEFAULTS = {
+  maxRetries: 5,
+  baseDelayMs: 500,
+  maxDelayMs: 8000,
+  retryableCodes: [99991400],
+};
+
+const REMOTE_NOT_FOUND_CODES = new Set([1770002, 1770003, 131005, 1061003, 1061007]);
+
+export function isRemoteNotFoundError(err) {
+  return REMOTE_NOT_FOUND_CODES.has(err?.code);
+}
+
+export function endpointRateLimitKey(method, pathSuffix) {
+  if (pathSuffix.startsWith('/docx/')) return method === 'GET' ? 'docx-read' : 'docx-write';
+  if (pathSuffix.startsWith('/wiki/')) return 'wiki';
+  if (pathSuffix.startsWith('/drive/')) return 'drive';
+  return 'default';
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function createTokenBucket(qps) {
+  const capacity = Math.max(1, Math.floor(qps));
+  let tokens = capacity;
+  let updatedAt = Date.now();
+  let queue = Promise.resolve();
+
+  const take = async () => {
+    for (;;) {
+      const now = Date.now();
+      tokens = Math.min(capacity, tokens + ((now - updatedAt) / 1000) * qps);
+      updatedAt = now;
+      if (tokens >= 1) {
+        tokens -= 1;
+        return;
+      }
+      await sleep(Math.ceil(((1 - tokens) / qps) * 1000));
+    }
+  };
+
+  return {
+    take: () => {
+      queue = queue.then(take);
+      return queue;
+    },
+  };
+}
+
+export function createRequestScheduler({
+  concurrency = API_CONCURRENCY_DEFAULT,
+  rateLimits = {},
+  retry = {},
+} = {}) {
+  for (const key of Object.keys(rateLimits)) {
+    if (!(key in API_RATE_LIMITS)) {
+      throw new Error(
+        `Unknown api.rateLimits key "${key}". Expected one of: ${Object.keys(API_RATE_LIMITS).join(', ')}`
+      );
+    }
+  }
+  const buckets = new Map();
+  const waiting = [];
+  let active = 0;
+
+  const acquireSlot = () => {
+    if (active < concurrency) {
+      active += 1;
+      return Promise.resolve();
+    }
+    return new Promise((resolve) => waiting.push(resolve));
+  };
+
+  const releaseSlot = () => {
+    const next = waiting.shift();
+    if (next) {
+      next();
+    } else {
+      active -= 1;
+    }
+  };
+
+  const bucketFor = (key) => {
+    if (!buckets.has(key)) {
+      const qps = rateLimits[key] ?? API_RATE_LIMITS[key];
+      buckets.set(key, Number.isFinite(qps) && qps > 0 ? createTokenBucket(qps) : null);
+    }
+    return buckets.get(key);
+  };
+
+  return {
+    retry: { ...API_RETRY_DEFAULTS, ...retry },
+    async run(method, pathSuffix, task) {
+      const bucket = bucketFor(endpointRateLimitKey(method, pathSuffix));
+      if (bucket) await bucket.take();
+      await acquireSlot();
+      try {
+        return await task();
+      } finally {
+        releaseSlot();
+      }
+    },
+  };
+}
+
+let apiScheduler = createRequestScheduler();
+
+export function configureApiScheduler(options) {
+  apiScheduler = createRequestScheduler(options);
+}
+
+function retryDelayMs(retry, attempt, retryAfterHeader) {
+  const retryAfter = Number(retryAfterHeader);
+  if (retryAfterHeader && Number.isFinite(retryAfter)) {
+    return retryAfter * 1000;
+  }
+  const capped = Math.min(retry.maxDelayMs, retry.baseDelayMs * 2 ** attempt);
+  return Math.round(capped / 2 + Math.random() * (capped / 2));
+}
 
-export async function apiRequest(method, pathSuffix, token, { query = {}, body } = {}) {
+export async function apiRequest(
+  method,
+  pathSuffix,
+  token,
+  { query = {}, body, form, binary, idempotent } = {}
+) {
   const url = new URL(`${API_BASE}${pathSuffix}`);
   for (const [key, value] of Object.entries(query)) {
     if (value === undefined || value === null || value === '') continue;
@@ -40,35 +229,57 @@ export async function apiRequest(method, pathSuffix, token, { query = {}, body }
     headers,
   };
 
-  if (body !== undefined) {
+  if (form !== undefined) {
+    options.body = form;
+  } else if (body !== undefined) {
     headers['Content-Type'] = 'application/json; charset=utf-8';
     options.body = JSON.stringify(body);
   }
 
-  const maxRetries = 5;
-  for (let attempt = 0; attempt <= maxRetries; attempt += 1) {
+  const { retry } = apiScheduler;
+  const canReplay = idempotent ?? (method === 'GET' || Boolean(query.client_token));
+  let lastError = null;
+  for (let attempt = 0; attempt <= retry.maxRetries; attempt += 1) {
+    if (attempt > 0) {
+      await sleep(retryDelayMs(retry, attempt - 1, lastError?.retryAfter));
+    }
+
     let response;
     try {
-      response = await fetch(url, options);
+      response = await apiScheduler.run(method, pathSuffix, () => fetch(url, options));
     } catch (err) {
       const bodyPreview = body ? JSON.stringify(body).slice(0, 200) : '';
-      throw new Error(
+      lastError = new Error(
         `Fetch failed for ${url.toString()}: ${err && err.message ? err.message : err}${
           bodyPreview ? ` | body=${bodyPreview}` : ''
         }`
       );
+      if (canReplay) continue;
+      throw lastError;
     }
 
     if (response.status === 429) {
-      const retryAfter = Number(response.headers.get('retry-after'));
-      const delayMs = Number.isFinite(retryAfter)
-        ? retryAfter * 1000
-        : Math.min(8000, 1000 * 2 ** attempt);
-      await new Promise((resolve) => setTimeout(resolve, delayMs));
+      lastError = new Error('API error: rate limited (429).');
+      lastError.retryAfter = response.headers.get('retry-after');
       continue;
     }
 
+    const contentType = response.headers.get('content-type') || '';
+    if (binary && response.ok && !contentType.includes('application/json')) {
+      return Buffer.from(await response.arrayBuffer());
+    }
+
     const text = await response.text();
+    if (response.status >= 500) {
+      lastError = new Error(
+        `API error: server returned ${response.status} for ${method} ${pathSuffix}. Raw response: ${
+          text.slice(0, 200) || '<empty>'
+        }`
+      );
+      if (canReplay) continue;
+      throw lastError;
+    }
+
     let data;
     try {
       data = text ? JSON.parse(text) : null;
@@ -84,24 +295,43 @@ export async function apiRequest(method, pathSuffix, token, { query = {}, body }
 
     if (data.code !== 0) {
       const message = data.msg || data.error_description || data.error || 'Unknown error';
-      throw new Error(`API error (${data.code}): ${message}`);
+      lastError = new Error(`API error (${data.code}): ${message}`);
+      lastError.code = data.code;
+      if (retry.retryableCodes.includes(data.code)) continue;
+      throw lastError;
     }
     return data.data ?? data;
   }
 
-  throw new Error('API error: rate limited (429) after retries.');
+  throw new Error(`${lastError.message} Gave up after ${retry.maxRetries} retries.`);
 }
 
 export function apiGet(pathSuffix, token, query) {
   return apiRequest('GET', pathSuffix, token, { query });
 }
 
-export function apiPost(pathSuffix, token, body, query) {
-  return apiRequest('POST', pathSuffix, token, { query, body });
+export function apiPost(pathSuffix, token, body, query, options) {
+  return apiRequest('POST', pathSuffix, token, { query, body, ...options });
+}
+
+export function apiPatch(pathSuffix, token, body, query, options) {
+  return apiRequest('PATCH', pathSuffix, token, { query, body, ...options });
+}
+
+export function apiDelete(pathSuffix, token, body, query, options) {
+  return apiRequest('DELETE', pathSuffix, token, { query, body, ...options });
 }
 
-export function apiDelete(pathSuffix, token, body, query) {
-  return apiRequest('DELETE', pathSuffix, token, { query, body });
+export function apiDownload(pathSuffix, token, query) {
+  return apiRequest('GET', pathSuffix, token, { query, binary: true });
+}
+
+export function apiUpload(pathSuffix, token, form) {
+  return apiRequest('POST', pathSuffix, token, { form });
+}
+
+function withClientToken(query) {
+  return { ...query, client_token: randomUUID() };
 }
 
 export async function deleteRemoteDocument(documentId, token, fileType) {
@@ -165,27 +395,228 @@ export async function fetchWikiNodes(spaceId, token, parentNodeToken) {
   return nodes;
 }
 
-export async function collectWikiDocNodes(spaceId, token, parentNodeToken, result) {
+export async function collectWikiDocNodes(spaceId, token, parentNodeToken, result, parentDir = '') {
   const nodes = await fetchWikiNodes(spaceId, token, parentNodeToken);
+  await collectWikiNodeList(spaceId, token, nodes, parentNodeToken, result, parentDir);
+  return result;
+}
+
+async function collectWikiNodeList(spaceId, token, nodes, parentNodeToken, result, parentDir) {
+  const usedFolders = new Set();
+  const collected = [];
   for (const node of nodes) {
-    const hasChild = node.has_child ?? node.hasChild;
+    const hasChild = Boolean(node.has_child ?? node.hasChild);
     const nodeToken = node.node_token || node.nodeToken;
     const objType = node.obj_type || node.objType;
     const objToken = node.obj_token || node.objToken;
+    const title = node.title || node.name || '';
+
+    let folder = null;
+    if (hasChild && nodeToken) {
+      const baseName = sanitizeFilename(title) || nodeToken;
+      let segment = baseName;
+      for (let counter = 1; usedFolders.has(segment.toLowerCase()); counter += 1) {
+        segment = `${baseName}-${counter}`;
+      }
+      usedFolders.add(segment.toLowerCase());
+      folder = parentDir ? `${parentDir}/${segment}` : segment;
+    }
 
-    if (objToken && (objType === 'docx' || objType === 'doc')) {
-      result.push({
+    if (objToken && (objType === 'docx' || objType === 'doc' || EXPORT_OBJ_TYPES.has(objType))) {
+      collected.push({
         nodeToken,
+        parentNodeToken: parentNodeToken || node.parent_node_token || node.parentNodeToken || '',
         documentId: objToken,
-        title: node.title || node.name || '',
+        title,
         objType,
+        dir: parentDir,
+        folder,
       });
     }
 
-    if (hasChild && nodeToken) {
-      await collectWikiDocNodes(spaceId, token, nodeToken, result);
+    if (folder) {
+      collected.push(collectWikiDocNodes(spaceId, token, nodeToken, [], folder));
+    }
+  }
+  await appendCollectedNodes(collected, result);
+}
+
+async function appendCollectedNodes(collected, result) {
+  for (const item of await Promise.all(collected)) {
+    if (Array.isArray(item)) {
+      result.push(...item);
+    } else {
+      result.push(item);
+    }
+  }
+}
+
+export async function fetchWikiNode(token, nodeToken) {
+  const data = await apiGet('/wiki/v2/spaces/get_node', token, { token: nodeToken });
+  return data.node || data;
+}
+
+export async function collectSyncedWikiDocNodes(spaceId, token, syncFilter) {
+  const collected = [];
+  if (syncFilter?.rootNodeTokens?.length) {
+    const roots = [];
+    for (const nodeToken of syncFilter.rootNodeTokens) {
+      roots.push(await fetchWikiNode(token, nodeToken));
+    }
+    await collectWikiNodeList(spaceId, token, roots, undefined, collected, '');
+  } else {
+    await collectWikiDocNodes(spaceId, token, undefined, collected);
+  }
+
+  return partitionSyncedNodes(collected, syncFilter);
+}
+
+function partitionSyncedNodes(collected, syncFilter) {
+  const nodes = [];
+  const exportNodes = [];
+  const excluded = new Set();
+  for (const node of collected) {
+    if (syncFilter && !syncFilter.allows(resolveDocRelPath(node, node.title))) {
+      excluded.add(node.documentId);
+    } else if (EXPORT_OBJ_TYPES.has(node.objType)) {
+      exportNodes.push(node);
+    } else {
+      nodes.push(node);
+    }
+  }
+  return { nodes, exportNodes, excluded };
+}
+
+export async function fetchWikiNodeByObjToken(token, objToken, objType) {
+  const data = await apiGet('/wiki/v2/spaces/get_node', token, {
+    token: objToken,
+    obj_type: objType || 'docx',
+  });
+  const node = data.node || data;
+  return {
+    nodeToken: node.node_token || node.nodeToken || '',
+    parentNodeToken: node.parent_node_token || node.parentNodeToken || '',
+    spaceId: node.space_id || node.spaceId || '',
+    title: node.title || '',
+    hasChild: Boolean(node.has_child ?? node.hasChild),
+  };
+}
+
+export async function fetchDriveFiles(token, folderToken) {
+  const files = [];
+  let pageToken;
+  let hasMore = true;
+
+  while (hasMore) {
+    const data = await apiGet('/drive/v1/files', token, {
+      folder_token: folderToken,
+      page_token: pageToken,
+      page_size: 200,
+    });
+
+    files.push(...(data.files || data.items || []));
+
+    pageToken = data.next_page_token || data.page_token || '';
+    if (typeof data.has_more === 'boolean') {
+      hasMore = data.has_more;
+    } else {
+      hasMore = Boolean(pageToken);
+    }
+  }
+
+  return files;
+}
+
+export async function collectDriveDocNodes(token, folderToken, result, parentDir = '', folders) {
+  const files = await fetchDriveFiles(token, folderToken);
+  folders?.set(parentDir, folderToken);
+  const usedFolders = new Set();
+  const collected = [];
+  for (const file of files) {
+    const fileToken = file.token || file.file_token || '';
+    const type = file.type || file.file_type || '';
+    const title = file.name || file.title || '';
+    if (!fileToken) continue;
+
+    if (type === 'folder') {
+      const baseName = sanitizeFilename(title) || fileToken;
+      let segment = baseName;
+      for (let counter = 1; usedFolders.has(segment.toLowerCase()); counter += 1) {
+        segment = `${baseName}-${counter}`;
+      }
+      usedFolders.add(segment.toLowerCase());
+      const dir = parentDir ? `${parentDir}/${segment}` : segment;
+      collected.push(collectDriveDocNodes(token, fileToken, [], dir, folders));
+    } else if (type === 'docx' || type === 'doc' || EXPORT_OBJ_TYPES.has(type)) {
+      collected.push({
+        nodeToken: '',
+        parentNodeToken: '',
+        folderToken,
+        documentId: fileToken,
+        title,
+        objType: type,
+        dir: parentDir,
+        folder: null,
+      });
+    }
+  }
+  await appendCollectedNodes(collected, result);
+  return result;
+}
+
+export async function collectSyncedDriveDocNodes(folderToken, token, syncFilter) {
+  const collected = [];
+  await collectDriveDocNodes(token, folderToken, collected);
+  return partitionSyncedNodes(collected, syncFilter);
+}
+
+export async function createDriveFolder(token, parentFolderToken, name) {
+  const data = await apiPost('/drive/v1/files/create_folder', token, {
+    name,
+    folder_token: parentFolderToken,
+  });
+  const folderToken = data?.token || data?.folder_token || '';
+  if (!folderToken) {
+    throw new Error('Create folder response missing token.');
+  }
+  return folderToken;
+}
+
+export async function ensureDriveFolderPath(token, driveFolderToken, dir, folders) {
+  let folderToken = driveFolderToken;
+  if (!dir || dir === '.') return folderToken;
+  let current = '';
+  for (const segment of dir.split('/')) {
+    current = current ? `${current}/${segment}` : segment;
+    if (folders?.has(current)) {
+      folderToken = folders.get(current);
+      continue;
     }
+    const files = await fetchDriveFiles(token, folderToken);
+    const match = files.find(
+      (file) =>
+        (file.type || file.file_type) === 'folder' &&
+        (sanitizeFilename(file.name || file.title) || file.token) === segment
+    );
+    folderToken = match
+      ? match.token || match.file_token
+      : await createDriveFolder(token, folderToken, segment);
+    folders?.set(current, folderToken);
   }
+  return folderToken;
+}
+
+export async function moveDriveFile(token, fileToken, fileType, folderToken) {
+  await apiPost(
+    `/drive/v1/files/${fileToken}/move`,
+    token,
+    {
+      type: fileType || 'docx',
+      folder_token: folderToken,
+    },
+    undefined,
+    { idempotent: true }
+  );
 }
 
 export async function fetchDocumentMeta(documentId, token) {
@@ -193,12 +624,411 @@ export async function fetchDocumentMeta(documentId, token) {
   return data.document || data;
 }
 
-export async function downloadDocumentToFile(documentId, token, metadata, filePath) {
+const DRIVE_META_BATCH_SIZE = 200;
+const userNameCache = new Map();
+
+async function fetchUserName(token, openId) {
+  if (!userNameCache.has(openId)) {
+    const data = await apiGet(`/contact/v3/users/${openId}`, token, { user_id_type: 'open_id' });
+    userNameCache.set(openId, data?.user?.name || '');
+  }
+  return userNameCache.get(openId);
+}
+
+export async function fetchDriveMetas(token, docs) {
+  const metas = new Map();
+  for (let i = 0; i < docs.length; i += DRIVE_META_BATCH_SIZE) {
+    const batch = docs.slice(i, i + DRIVE_META_BATCH_SIZE);
+    const data = await apiPost(
+      '/drive/v1/metas/batch_query',
+      token,
+      {
+        request_docs: batch.map((doc) => ({
+          doc_token: doc.documentId,
+          doc_type: doc.fileType || 'docx',
+        })),
+      },
+      { user_id_type: 'open_id' },
+      { idempotent: true }
+    );
+    for (const meta of data?.metas || []) {
+      metas.set(meta.doc_token, meta);
+    }
+  }
+  return metas;
+}
+
+export async function fetchLatestEditors(token, docs) {
+  const editorIds = new Map();
+  for (const [documentId, meta] of await fetchDriveMetas(token, docs)) {
+    if (meta.latest_modify_user) {
+      editorIds.set(documentId, meta.latest_modify_user);
+    }
+  }
+  const editors = new Map();
+  for (const [documentId, openId] of editorIds) {
+    editors.set(documentId, { openId, name: (await fetchUserName(token, openId)) || openId });
+  }
+  return editors;
+}
+
+async function fetchPagedItems(pathSuffix, token, query) {
+  const items = [];
+  let pageToken;
+  let hasMore = true;
+
+  while (hasMore) {
+    const data = await apiGet(pathSuffix, token, { ...query, page_token: pageToken });
+    items.push(...(data.items || []));
+
+    pageToken = data.page_token || data.next_page_token || '';
+    if (typeof data.has_more === 'boolean') {
+      hasMore = data.has_more;
+    } else {
+      hasMore = Boolean(pageToken);
+    }
+  }
+
+  return items;
+}
+
+export async function fetchSpreadsheetMeta(token, spreadsheetToken) {
+  const data = await apiGet(`/sheets/v2/spreadsheets/${spreadsheetToken}/metainfo`, token);
+  return {
+    title: data?.properties?.title || '',
+    sheets: (data?.sheets || []).map((sheet) => ({
+      id: sheet.sheetId,
+      title: sheet.title || '',
+      rowCount: sheet.rowCount || 0,
+      columnCount: sheet.columnCount || 0,
+    })),
+  };
+}
+
+export async function fetchSheetValues(token, spreadsheetToken, sheet) {
+  if (!sheet.rowCount || !sheet.columnCount) return [];
+  const lastColumn = columnLetter(sheet.columnCount);
+  const rows = [];
+  for (let start = 1; start <= sheet.rowCount; start += SHEET_ROW_BATCH_SIZE) {
+    const end = Math.min(sheet.rowCount, start + SHEET_ROW_BATCH_SIZE - 1);
+    const range = encodeURIComponent(`${sheet.id}!A${start}:${lastColumn}${end}`);
+    const data = await apiGet(
+      `/sheets/v2/spreadsheets/${spreadsheetToken}/values/${range}`,
+      token,
+      { valueRenderOption: 'FormattedValue', dateTimeRenderOption: 'FormattedString' }
+    );
+    for (const row of data?.valueRange?.values || []) {
+      rows.push((row || []).map(sheetCellToText));
+    }
+  }
+  return trimTableRows(rows);
+}
+
+export async function fetchBitableRows(token, appToken, tableId) {
+  const tablePath = `/bitable/v1/apps/${appToken}/tables/${tableId}`;
+  const fields = await fetchPagedItems(`${tablePath}/fields`, token, { page_size: 100 });
+  const records = await fetchPagedItems(`${tablePath}/records`, token, { page_size: 500 });
+  return [
+    fields.map((field) => field.field_name || ''),
+    ...records.map((record) =>
+      fields.map((field) => bitableValueToText(record.fields?.[field.field_name], field.type))
+    ),
+  ];
+}
+
+async function fetchTableTabs(token, documentId, objType) {
+  if (objType === 'bitable') {
+    const tables = await fetchPagedItems(`/bitable/v1/apps/${documentId}/tables`, token, {
+      page_size: 100,
+    });
+    const tabs = [];
+    for (const table of tables) {
+      tabs.push({
+        id: table.table_id,
+        name: table.name || '',
+        rows: await fetchBitableRows(token, documentId, table.table_id),
+      });
+    }
+    return tabs;
+  }
+  const { sheets } = await fetchSpreadsheetMeta(token, documentId);
+  const tabs = [];
+  for (const sheet of sheets) {
+    tabs.push({
+      id: sheet.id,
+      name: sheet.title,
+      rows: await fetchSheetValues(token, documentId, sheet),
+    });
+  }
+  return tabs;
+}
+
+async function attachEmbeddedSheetValues(blocks, token) {
+  for (const block of blocks) {
+    const ref = block.sheet?.token || '';
+    const split = ref.lastIndexOf('_');
+    if (split <= 0) continue;
+    const spreadsheetToken = ref.slice(0, split);
+    const sheetId = ref.slice(split + 1);
+    try {
+      const { sheets } = await fetchSpreadsheetMeta(token, spreadsheetToken);
+      const sheet = sheets.find((item) => item.id === sheetId);
+      if (sheet) {
+        block.sheet.values = await fetchSheetValues(token, spreadsheetToken, sheet);
+      }
+    } catch (err) {
+      console.warn(`Warning: could not read embedded sheet ${ref}: ${err.message || err}`);
+    }
+  }
+}
+
+function assetHref(fromFile, assetRel) {
+  const relative = path.posix.relative(path.posix.dirname(fromFile), assetRel);
+  return relative.replace(/[ ()]/g, (char) => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+function resolveAssetPath(attachments, href) {
+  let decoded;
+  try {
+    decoded = decodeURIComponent(href.replace(/[?#].*$/, ''));
+  } catch (err) {
+    return null;
+  }
+  const fileRel = path.posix.join(path.posix.dirname(attachments.file), decoded);
+  return fileRel === '..' || fileRel.startsWith('../') ? null : fileRel;
+}
+
+function imageExtension(data) {
+  const header = data.subarray(0, 16).toString('latin1');
+  return IMAGE_SIGNATURES.find(([pattern]) => pattern.test(header))?.[1] || '';
+}
+
+async function downloadAsset(rootDir, token, media, fileRel, usedPaths) {
+  const data = await apiDownload(`/drive/v1/medias/${media.token}/download`, token);
+  const name = media.name || `${media.token}${imageExtension(data)}`;
+  const target =
+    fileRel ||
+    (await ensureUniqueAssetPath(
+      rootDir,
+      `${ASSETS_DIR}/${assetFileName(name, media.token)}`,
+      usedPaths
+    ));
+  const fileAbs = path.join(rootDir, target);
+  await fs.mkdir(path.dirname(fileAbs), { recursive: true });
+  await fs.writeFile(fileAbs, data);
+  const asset = { file: target, hash: hashText(data) };
+  await recordAsset(rootDir, media.token, asset);
+  return asset;
+}
+
+async function attachLocalAssets(blocks, token, attachments) {
+  const media = blocks.map((block) => block.file || block.image).filter((item) => item?.token);
+  if (!attachments || !media.length) return;
+  const { rootDir, file, download = true } = attachments;
+  const assets = await readAssetIndex(rootDir);
+  const usedPaths = new Set(
+    Object.values(assets)
+      .filter((asset) => asset.file)
+      .map((asset) => asset.file.toLowerCase())
+  );
+  for (const item of media) {
+    let asset = assets[item.token];
+    if (asset?.url) {
+      item.href = asset.url;
+      continue;
+    }
+    if (!download) {
+      if (asset) item.href = assetHref(file, asset.file);
+      continue;
+    }
+    if (!asset || !(await fileExists(path.join(rootDir, asset.file)))) {
+      try {
+        asset = await downloadAsset(rootDir, token, item, asset?.file, usedPaths);
+      } catch (err) {
+        console.warn(
+          `Warning: could not download ${item.name || item.token}: ${err.message || err}`
+        );
+        continue;
+      }
+      assets[item.token] = asset;
+    }
+    item.href = assetHref(file, asset.file);
+  }
+}
+
+export async function fetchDocumentMarkdown(documentId, token, metadata, attachments) {
   const blocks = await fetchAllBlocks(documentId, token);
-  const markdown = feishuToMarkdown({ metadata, blocks });
+  await attachEmbeddedSheetValues(blocks, token);
+  await attachLocalAssets(blocks, token, attachments);
+  return feishuToMarkdown({ metadata, blocks });
+}
+
+export function resolveExportPath(node, title) {
+  if (node.objType === 'file') {
+    const name = assetFileName(title, node.documentId);
+    return node.dir ? `${node.dir}/${name}` : name;
+  }
+  if (node.folder) return node.folder;
+  const name = sanitizeFilename(title) || node.documentId;
+  return node.dir ? `${node.dir}/${name}` : name;
+}
+
+async function findChangedExportFile(rootDir, entry) {
+  for (const item of entry.files || []) {
+    const fileAbs = path.join(rootDir, item.file);
+    if (!(await fileExists(fileAbs))) return { file: item.file, missing: true };
+    if (hashText(await fs.readFile(fileAbs)) !== item.hash) {
+      return { file: item.file, missing: false };
+    }
+  }
+  return null;
+}
+
+export async function planRemoteExports({ rootDir, token, nodes, excluded, exports, options }) {
+  const actions = [];
+  const warnings = [];
+  const exported = nodes.filter((node) => options || !TABLE_OBJ_TYPES.has(node.objType));
+  const metas = exported.length
+    ? await fetchDriveMetas(
+        token,
+        exported.map((node) => ({ documentId: node.documentId, fileType: node.objType }))
+      )
+    : new Map();
+  const usedPaths = new Set();
+  const remoteIds = new Set();
+  for (const node of exported) {
+    remoteIds.add(node.documentId);
+    const meta = metas.get(node.documentId);
+    const title = meta?.title || node.title || '';
+    const basePath = resolveExportPath(node, title);
+    const extension = node.objType === 'file' ? path.posix.extname(basePath) : '';
+    const stem = basePath.slice(0, basePath.length - extension.length);
+    let target = basePath;
+    for (let counter = 1; usedPaths.has(target.toLowerCase()); counter += 1) {
+      target = `${stem}-${counter}${extension}`;
+    }
+    usedPaths.add(target.toLowerCase());
+
+    const entry = exports[node.documentId];
+    let format = null;
+    if (TABLE_OBJ_TYPES.has(node.objType)) {
+      format = node.objType === 'bitable' ? options.bitableFormat : 'csv';
+    }
+    const modifiedTime = meta?.latest_modify_time ?? null;
+    const changed = entry ? await findChangedExportFile(rootDir, entry) : null;
+    if (changed && !changed.missing) {
+      warnings.push(
+        `${changed.file} is a read-only export of a Feishu ${node.objType}; local edits are overwritten.`
+      );
+    }
+    const current =
+      entry &&
+      !changed &&
+      entry.path === target &&
+      entry.format === format &&
+      modifiedTime !== null &&
+      entry.modifiedTime === modifiedTime;
+    if (current) continue;
+    actions.push({
+      type: 'export',
+      docId: node.documentId,
+      file: target,
+      title,
+      fileType: node.objType,
+      nodeToken: node.nodeToken,
+      format,
+      modifiedTime,
+    });
+  }
+  for (const [docId, entry] of Object.entries(exports)) {
+    if (remoteIds.has(docId) || excluded.has(docId)) continue;
+    if (!options && TABLE_OBJ_TYPES.has(entry.type)) continue;
+    actions.push({ type: 'delete-export', docId, file: entry.path, fileType: entry.type });
+  }
+  return { actions, warnings };
+}
+
+async function removeExportFiles(rootDir, files) {
+  for (const item of files) {
+    const fileAbs = path.join(rootDir, item.file);
+    await deleteLocalFile(fileAbs);
+    await pruneEmptyDirs(rootDir, path.dirname(fileAbs));
+  }
+}
+
+async function writeTableExportFiles(rootDir, token, action) {
+  const tabs = await fetchTableTabs(token, action.docId, action.fileType);
+  const extension = action.format === 'markdown' ? '.table.md' : '.csv';
+  const usedNames = new Set();
+  const files = [];
+  for (const tab of tabs) {
+    const baseName = sanitizeFilename(tab.name) || tab.id;
+    let name = baseName;
+    for (let counter = 1; usedNames.has(name.toLowerCase()); counter += 1) {
+      name = `${baseName}-${counter}`;
+    }
+    usedNames.add(name.toLowerCase());
+    const file = `${action.file}/${name}${extension}`;
+    let content = formatCsv(tab.rows);
+    if (action.format === 'markdown') {
+      const table = formatMarkdownTable(tab.rows);
+      content = table ? `${table}\n` : '';
+    }
+    const fileAbs = path.join(rootDir, file);
+    await fs.mkdir(path.dirname(fileAbs), { recursive: true });
+    await fs.writeFile(fileAbs, content, 'utf8');
+    files.push({ id: tab.id, name: tab.name, file, hash: hashText(content) });
+  }
+  return files;
+}
+
+async function writeDriveFileExport(rootDir, token, action) {
+  const data = await apiDownload(`/drive/v1/files/${action.docId}/download`, token);
+  const fileAbs = path.join(rootDir, action.file);
+  await fs.mkdir(path.dirname(fileAbs), { recursive: true });
+  await fs.writeFile(fileAbs, data);
+  return [{ id: action.docId, name: action.title, file: action.file, hash: hashText(data) }];
+}
+
+export async function applyRemoteExport({ rootDir, token, exports, action }) {
+  const files =
+    action.fileType === 'file'
+      ? await writeDriveFileExport(rootDir, token, action)
+      : await writeTableExportFiles(rootDir, token, action);
+
+  const previous = exports[action.docId];
+  const kept = new Set(files.map((item) => item.file));
+  await removeExportFiles(
+    rootDir,
+    (previous?.files || []).filter((item) => !kept.has(item.file))
+  );
+  exports[action.docId] = {
+    type: action.fileType,
+    nodeToken: action.nodeToken || previous?.nodeToken || '',
+    title: action.title,
+    path: action.file,
+    format: action.format,
+    modifiedTime: action.modifiedTime,
+    files,
+  };
+  return exports[action.docId];
+}
+
+export async function removeRemoteExport({ rootDir, exports, docId }) {
+  const entry = exports[docId];
+  if (!entry) return;
+  await removeExportFiles(rootDir, entry.files || []);
+  delete exports[docId];
+}
+
+export async function downloadDocumentToFile(documentId, token, metadata, filePath, rootDir) {
+  const attachments = rootDir
+    ? { rootDir, file: ensurePosixPath(path.relative(rootDir, filePath)) }
+    : undefined;
+  const markdown = await fetchDocumentMarkdown(documentId, token, metadata, attachments);
   await fs.mkdir(path.dirname(filePath), { recursive: true });
   await fs.writeFile(filePath, markdown, 'utf8');
-  return crypto.createHash('sha256').update(markdown).digest('hex');
+  return hashMarkdown(markdown);
 }
 
 function extractBlocksFromResponse(data) {
@@ -255,7 +1085,8 @@ async function createTableWithContent(documentId, token, tableBlock, index) {
     {
       index,
       children: [payload],
-    }
+    },
+    withClientToken()
   );
 
   const created = extractBlocksFromResponse(resp);
@@ -280,7 +1111,8 @@ async function createTableWithContent(documentId, token, tableBlock, index) {
         {
           index: 0,
           children,
-        }
+        },
+        withClientToken()
       );
     }
   }
@@ -293,134 +1125,976 @@ export async function appendBlocks(documentId, token, blocks, startIndex = 0) {
   let index = startIndex;
   for (let i = 0; i < blocks.length; i += CREATE_BATCH_SIZE) {
     const chunk = blocks.slice(i, i + CREATE_BATCH_SIZE);
-    await apiPost(`/docx/v1/documents/${documentId}/blocks/${documentId}/children`, token, {
-      index,
-      children: chunk,
-    });
+    await apiPost(
+      `/docx/v1/documents/${documentId}/blocks/${documentId}/children`,
+      token,
+      {
+        index,
+        children: chunk,
+      },
+      withClientToken()
+    );
     index += chunk.length;
   }
   return index;
 }
 
-export async function appendBlocksWithTables(documentId, token, blocks) {
-  let index = 0;
-  let buffer = [];
+const MEDIA_UPLOADS = {
+  [BLOCK_TYPE.file]: { key: 'file', parentType: 'docx_file', replaceKey: 'replace_file' },
+  [BLOCK_TYPE.image]: { key: 'image', parentType: 'docx_image', replaceKey: 'replace_image' },
+};
+
+function mediaBlock(blockType, fileToken, upload) {
+  const block = { block_type: blockType, [MEDIA_UPLOADS[blockType].key]: { token: fileToken } };
+  return upload ? { ...block, _attachment: upload } : block;
+}
+
+async function fetchRemoteImage(url) {
+  try {
+    const response = await fetch(url, { signal: AbortSignal.timeout(REMOTE_IMAGE_TIMEOUT_MS) });
+    if (response.ok) return Buffer.from(await response.arrayBuffer());
+    console.warn(`Warning: could not fetch image ${url} (HTTP ${response.status}); kept as a link.`);
+  } catch (err) {
+    console.warn(`Warning: could not fetch image ${url} (${err.message || err}); kept as a link.`);
+  }
+  return null;
+}
+
+async function resolveMediaBlock(block, attachments, assets, tokensBySource) {
+  const { href, fallback } = block._attachment;
+  const media = block.file || block.image;
+  const rootDir = attachments?.rootDir;
+  if (block.block_type === BLOCK_TYPE.image && /^https?:\/\//i.test(href)) {
+    const knownToken = tokensBySource.get(href);
+    if (knownToken) {
+      return mediaBlock(block.block_type, knownToken, { rootDir, source: { url: href }, fallback });
+    }
+    const data = await fetchRemoteImage(href);
+    if (!data) return fallback;
+    return mediaBlock(block.block_type, '', { rootDir, source: { url: href }, data });
+  }
+
+  const fileRel = attachments && !media.token ? resolveAssetPath(attachments, href) : null;
+  const knownToken = fileRel ? tokensBySource.get(fileRel) : undefined;
+  const fileAbs = fileRel ? path.join(rootDir, fileRel) : null;
+  const name = media.name || (fileRel ? path.posix.basename(fileRel) : '');
+  if (fileAbs && (await fileExists(fileAbs))) {
+    const data = await fs.readFile(fileAbs);
+    if (knownToken && assets[knownToken].hash === hashText(data)) {
+      return mediaBlock(block.block_type, knownToken, { rootDir, source: { file: fileRel }, name });
+    }
+    return mediaBlock(block.block_type, '', { rootDir, source: { file: fileRel }, name, data });
+  }
+  if (knownToken) {
+    return mediaBlock(block.block_type, knownToken, {
+      rootDir,
+      source: { token: knownToken, file: fileRel },
+      name,
+    });
+  }
+  const mediaToken =
+    media.token ||
+    (block.block_type === BLOCK_TYPE.image && MEDIA_TOKEN_PATTERN.test(href) ? href : '');
+  if (mediaToken) {
+    return mediaBlock(block.block_type, mediaToken, {
+      rootDir,
+      source: { token: mediaToken },
+      name: media.name,
+    });
+  }
+  return fallback;
+}
+
+function mediaUploadName({ name, source }, data) {
+  if (name) return name;
+  const base = source.url ? path.posix.basename(new URL(source.url).pathname) : source.token;
+  return assetFileName(base, 'image') + (path.posix.extname(base) ? '' : imageExtension(data));
+}
+
+async function loadMediaData(token, { rootDir, source, data }) {
+  if (data) return data;
+  if (source.url) return fetchRemoteImage(source.url);
+  if (source.token) return apiDownload(`/drive/v1/medias/${source.token}/download`, token);
+  return fs.readFile(path.join(rootDir, source.file));
+}
+
+async function resolveAttachmentBlocks(blocks, attachments) {
+  if (!blocks.some((block) => block._attachment)) return blocks;
+  const assets = attachments ? await readAssetIndex(attachments.rootDir) : {};
+  const tokensBySource = new Map(
+    Object.entries(assets).map(([fileToken, asset]) => [asset.url || asset.file, fileToken])
+  );
+  const resolved = [];
+  for (const block of blocks) {
+    if (!block._attachment) {
+      resolved.push(block);
+      continue;
+    }
+    resolved.push(await resolveMediaBlock(block, attachments, assets, tokensBySource));
+  }
+  return resolved;
+}
+
+async function createMediaBlock(documentId, token, block, index) {
+  const { rootDir, source, fallback } = block._attachment;
+  const { key, parentType, replaceKey } = MEDIA_UPLOADS[block.block_type];
+  const label = source.file || source.url || source.token;
+  const data = await loadMediaData(token, block._attachment);
+  if (!data) return appendBlocks(documentId, token, [fallback], index);
+  const name = mediaUploadName(block._attachment, data);
+  if (data.length > ATTACHMENT_UPLOAD_MAX_BYTES) {
+    throw new Error(`${label} is larger than 20 MB and cannot be uploaded to Feishu.`);
+  }
+
+  const resp = await apiPost(
+    `/docx/v1/documents/${documentId}/blocks/${documentId}/children`,
+    token,
+    {
+      index,
+      children: [{ block_type: block.block_type, [key]: { token: '' } }],
+    },
+    withClientToken()
+  );
+  const created = extractBlocksFromResponse(resp);
+  const mediaBlockId =
+    created.find((item) => item.block_type === block.block_type)?.block_id ||
+    created[0]?.children?.[0];
+  if (!mediaBlockId) {
+    throw new Error(`Create ${key} block response missing block_id.`);
+  }
+
+  const form = new FormData();
+  form.append('file_name', name);
+  form.append('parent_type', parentType);
+  form.append('parent_node', mediaBlockId);
+  form.append('size', String(data.length));
+  form.append('extra', JSON.stringify({ drive_route_token: documentId }));
+  form.append('file', new Blob([data]), name);
+  const uploaded = await apiUpload('/drive/v1/medias/upload_all', token, form);
+  const fileToken = uploaded?.file_token;
+  if (!fileToken) {
+    throw new Error(`Upload of ${label} returned no file_token.`);
+  }
+
+  await apiPatch(
+    `/docx/v1/documents/${documentId}/blocks/${mediaBlockId}`,
+    token,
+    { [replaceKey]: { token: fileToken } },
+    withClientToken({ document_revision_id: -1 })
+  );
+  if (rootDir && (source.url || source.file)) {
+    const asset = source.url ? { url: source.url } : { file: source.file };
+    await recordAsset(rootDir, fileToken, { ...asset, hash: hashText(data) });
+  }
+  return index + 1;
+}
+
+export async function appendBlocksWithTables(documentId, token, blocks, startIndex = 0) {
+  let index = startIndex;
+  let buffer = [];
+
+  const flushBuffer = async () => {
+    if (!buffer.length) return;
+    index = await appendBlocks(documentId, token, buffer, index);
+    buffer = [];
+  };
+
+  for (const block of blocks) {
+    if (block.block_type === BLOCK_TYPE.sheet) {
+      console.warn(
+        `Warning: embedded sheet ${block.sheet?.token || ''} cannot be created or moved from Markdown; its marker was skipped.`
+      );
+      continue;
+    }
+    if (block._attachment) {
+      await flushBuffer();
+      index = await createMediaBlock(documentId, token, block, index);
+      continue;
+    }
+    if (block.block_type === BLOCK_TYPE.table && block._table) {
+      await flushBuffer();
+      index = await createTableWithContent(documentId, token, block, index);
+      continue;
+    }
+    buffer.push(block);
+  }
+
+  await flushBuffer();
+  return index;
+}
+
+export async function createDocument(token, title, folderToken) {
+  const folder = folderToken ? { folder_token: folderToken } : undefined;
+  try {
+    const data = await apiPost(
+      '/docx/v1/documents',
+      token,
+      title ? { title, ...folder } : folder
+    );
+    const documentId = data?.document?.document_id || data?.document_id || data?.documentId;
+    if (!documentId) {
+      throw new Error('Create document response missing document_id.');
+    }
+    return { documentId, usedTitle: Boolean(title) };
+  } catch (err) {
+    if (title && err.code !== undefined) {
+      const data = await apiPost('/docx/v1/documents', token, folder);
+      const documentId = data?.document?.document_id || data?.document_id || data?.documentId;
+      if (!documentId) {
+        throw new Error('Create document response missing document_id.');
+      }
+      return { documentId, usedTitle: false };
+    }
+    throw err;
+  }
+}
+
+export async function addDocToWiki(spaceId, token, documentId, parentNodeToken) {
+  const data = await apiPost(`/wiki/v2/spaces/${spaceId}/nodes/move_docs_to_wiki`, token, {
+    parent_wiki_token: parentNodeToken || undefined,
+    obj_type: 'docx',
+    obj_token: documentId,
+  });
+  return data?.wiki_token || data?.wikiToken || '';
+}
+
+async function deleteChildrenRange(documentId, token, startIndex, endIndex) {
+  let remaining = endIndex - startIndex;
+  while (remaining > 0) {
+    const batch = Math.min(DELETE_BATCH_SIZE, remaining);
+    await apiDelete(
+      `/docx/v1/documents/${documentId}/blocks/${documentId}/children/batch_delete`,
+      token,
+      {
+        start_index: startIndex,
+        end_index: startIndex + batch,
+      },
+      withClientToken({ document_revision_id: -1 })
+    );
+    remaining -= batch;
+  }
+}
+
+async function updateBlockElements(documentId, token, updates) {
+  for (let i = 0; i < updates.length; i += UPDATE_BATCH_SIZE) {
+    const chunk = updates.slice(i, i + UPDATE_BATCH_SIZE);
+    await apiPatch(
+      `/docx/v1/documents/${documentId}/blocks/batch_update`,
+      token,
+      {
+        requests: chunk.map(({ blockId, elements }) => ({
+          block_id: blockId,
+          update_text_elements: { elements },
+        })),
+      },
+      withClientToken({ document_revision_id: -1 })
+    );
+  }
+}
+
+function canUpdateInPlace(existing, desired) {
+  const key = textBlockKey(desired);
+  if (!key || textBlockKey(existing) !== key) return false;
+  if (Array.isArray(existing.children) && existing.children.length) return false;
+  if (key === 'todo' && Boolean(existing.todo?.style?.done) !== Boolean(desired.todo?.style?.done)) {
+    return false;
+  }
+  return true;
+}
+
+function sheetToken(block) {
+  return block.block_type === BLOCK_TYPE.sheet ? block.sheet?.token || '' : '';
+}
+
+function splitHunkAroundSheets(hunk, existingBlocks, desiredBlocks, keptSheets) {
+  const parts = [];
+  let aStart = hunk.aStart;
+  let bStart = hunk.bStart;
+  for (let i = hunk.aStart; i < hunk.aEnd; i += 1) {
+    const token = sheetToken(existingBlocks[i]);
+    if (!token || !keptSheets.has(token)) continue;
+    let marker = bStart;
+    while (marker < hunk.bEnd && sheetToken(desiredBlocks[marker]) !== token) marker += 1;
+    const found = marker < hunk.bEnd;
+    parts.push({ aStart, aEnd: i, bStart, bEnd: found ? marker : bStart });
+    aStart = i + 1;
+    bStart = found ? marker + 1 : bStart;
+  }
+  parts.push({ aStart, aEnd: hunk.aEnd, bStart, bEnd: hunk.bEnd });
+  return parts;
+}
+
+export function planBlockChanges(existingBlocks, desiredBlocks, blockMap) {
+  const existingSigs = existingBlocks.map((block) => blockSignature(block, blockMap));
+  const desiredSigs = desiredBlocks.map((block) => blockSignature(block, blockMap));
+  const keptSheets = new Set(desiredBlocks.map(sheetToken).filter(Boolean));
+  const hunks = computeHunks(existingSigs, desiredSigs).flatMap((hunk) =>
+    splitHunkAroundSheets(hunk, existingBlocks, desiredBlocks, keptSheets)
+  );
+
+  const updates = [];
+  const edits = [];
+  for (const hunk of hunks) {
+    let paired = 0;
+    while (
+      hunk.aStart + paired < hunk.aEnd &&
+      hunk.bStart + paired < hunk.bEnd &&
+      canUpdateInPlace(existingBlocks[hunk.aStart + paired], desiredBlocks[hunk.bStart + paired])
+    ) {
+      const desired = desiredBlocks[hunk.bStart + paired];
+      updates.push({
+        blockId: existingBlocks[hunk.aStart + paired].block_id,
+        elements: desired[textBlockKey(desired)].elements,
+      });
+      paired += 1;
+    }
+    const deleteStart = hunk.aStart + paired;
+    const insertBlocks = desiredBlocks.slice(hunk.bStart + paired, hunk.bEnd);
+    if (deleteStart < hunk.aEnd || insertBlocks.length) {
+      edits.push({ index: deleteStart, deleteCount: hunk.aEnd - deleteStart, insertBlocks });
+    }
+  }
+
+  return { updates, edits };
+}
+
+export async function updateDocumentTitle(documentId, token, title) {
+  await apiPatch(
+    `/docx/v1/documents/${documentId}/blocks/${documentId}`,
+    token,
+    { update_text_elements: { elements: inlineMarkdownToElements(title) } },
+    withClientToken({ document_revision_id: -1 })
+  );
+}
+
+export async function uploadMarkdownToDocument(documentId, token, markdown, attachments) {
+  const blocks = await resolveAttachmentBlocks(markdownToBlocks(markdown).blocks, attachments);
+  const remoteBlocks = await fetchAllBlocks(documentId, token);
+  const blockMap = new Map(remoteBlocks.map((block) => [block.block_id, block]));
+  const root = blockMap.get(documentId);
+  const existing = (root?.children || []).map((id) => blockMap.get(id)).filter(Boolean);
+
+  const title = extractMarkdownTitle(markdown);
+  const titleChanged = Boolean(root && title && pageTitleToMarkdown(root) !== title);
+  if (titleChanged) {
+    await updateDocumentTitle(documentId, token, title);
+  }
+
+  const { updates, edits } = planBlockChanges(existing, blocks, blockMap);
+  await updateBlockElements(documentId, token, updates);
+
+  let inserted = 0;
+  let deleted = 0;
+  for (const edit of edits.slice().reverse()) {
+    await deleteChildrenRange(documentId, token, edit.index, edit.index + edit.deleteCount);
+    await appendBlocksWithTables(documentId, token, edit.insertBlocks, edit.index);
+    deleted += edit.deleteCount;
+    inserted += edit.insertBlocks.length;
+  }
+
+  return { updated: updates.length, inserted, deleted, titleChanged };
+}
+
+export async function mergeDocumentChanges({
+  rootDir,
+  documentId,
+  token,
+  metadata,
+  fileAbs,
+  conflictAbs,
+}) {
+  const remote = await fetchDocumentMarkdown(documentId, token, metadata, {
+    rootDir,
+    file: ensurePosixPath(path.relative(rootDir, fileAbs)),
+  });
+  const base = await readBaseSnapshot(rootDir, documentId);
+  if (base !== null) {
+    const local = await fs.readFile(fileAbs, 'utf8');
+    const { merged, conflicts } = mergeText(base, local, remote);
+    if (!conflicts) {
+      if (merged !== local) {
+        await fs.writeFile(fileAbs, merged, 'utf8');
+      }
+      if (merged !== remote) {
+        await uploadMarkdownJournaled({
+          rootDir,
+          documentId,
+          token,
+          markdown: merged,
+          file: ensurePosixPath(path.relative(rootDir, fileAbs)),
+        });
+      }
+      const meta = await fetchDocumentMeta(documentId, token);
+      const revisionId = meta.revision_id ?? meta.revisionId ?? metadata.revision_id ?? null;
+      await writeBaseSnapshot(rootDir, documentId, merged, {
+        revisionId,
+        file: ensurePosixPath(path.relative(rootDir, fileAbs)),
+      });
+      return {
+        merged: true,
+        hash: hashMarkdown(merged),
+        revisionId,
+        title: meta.title || metadata.title || '',
+      };
+    }
+  }
+
+  await fs.mkdir(path.dirname(conflictAbs), { recursive: true });
+  await fs.writeFile(conflictAbs, remote, 'utf8');
+  return { merged: false };
+}
+
+export async function createDocumentFromMarkdown(
+  spaceId,
+  token,
+  markdown,
+  { parentNodeToken, folderToken, onCreated, attachments } = {}
+) {
+  const parsed = markdownToBlocks(markdown);
+  const { title } = parsed;
+  const blocks = await resolveAttachmentBlocks(parsed.blocks, attachments);
+  const { documentId, usedTitle } = await createDocument(token, title, folderToken);
+  if (onCreated) {
+    await onCreated(documentId);
+  }
+
+  const contentBlocks = usedTitle
+    ? blocks
+    : [
+        {
+          block_type: BLOCK_TYPE.heading1,
+          heading1: {
+            style: {},
+            elements: [{ text_run: { content: title, text_element_style: {} } }],
+          },
+        },
+        ...blocks,
+      ];
+
+  await appendBlocksWithTables(documentId, token, contentBlocks);
+  if (folderToken) {
+    return { documentId, nodeToken: '' };
+  }
+  let nodeToken = await addDocToWiki(spaceId, token, documentId, parentNodeToken);
+  if (!nodeToken) {
+    try {
+      nodeToken = (await fetchWikiNodeByObjToken(token, documentId, 'docx')).nodeToken;
+    } catch (err) {
+      nodeToken = '';
+    }
+  }
+  return { documentId, nodeToken };
+}
+
+export async function uploadMarkdownJournaled({ rootDir, documentId, token, markdown, file }) {
+  const entry = await beginJournalEntry(rootDir, { type: 'write', documentId, file, markdown });
+  const attachments = file ? { rootDir, file } : undefined;
+  const result = await uploadMarkdownToDocument(documentId, token, markdown, attachments);
+  await markJournalEntry(rootDir, entry, { stage: 'done' });
+  return result;
+}
+
+export async function createDocumentJournaled({ rootDir, spaceId, token, markdown, file, parent }) {
+  const entry = await beginJournalEntry(rootDir, { type: 'create', file, markdown });
+  const created = await createDocumentFromMarkdown(spaceId, token, markdown, {
+    ...parent,
+    attachments: { rootDir, file },
+    onCreated: (documentId) => markJournalEntry(rootDir, entry, { documentId }),
+  });
+  await markJournalEntry(rootDir, entry, { stage: 'done', nodeToken: created.nodeToken });
+  return created;
+}
+
+export function findRoundTripLosses(markdown, rendered) {
+  const local = canonicalizeMarkdown(markdown).split('\n');
+  const remote = canonicalizeMarkdown(rendered).split('\n');
+  const losses = [];
+  for (const hunk of computeHunks(local, remote)) {
+    for (let i = hunk.aStart; i < hunk.aEnd; i += 1) {
+      if (local[i].trim()) {
+        losses.push({ line: i + 1, text: local[i] });
+      }
+    }
+  }
+  return losses;
+}
+
+export async function verifyUploadedDocument({
+  rootDir,
+  documentId,
+  token,
+  markdown,
+  entry,
+  verify,
+  log = console,
+}) {
+  if (!verify) return null;
+  const rendered = await fetchDocumentMarkdown(
+    documentId,
+    token,
+    { document_id: documentId, revision_id: entry.revisionId, title: entry.title },
+    { rootDir, file: entry.file }
+  );
+  if (hashMarkdown(rendered) === hashMarkdown(markdown)) {
+    return { lossless: true, losses: [], rewritten: false };
+  }
+
+  const losses = findRoundTripLosses(markdown, rendered);
+  if (losses.length) {
+    const shown = losses
+      .slice(0, ROUND_TRIP_REPORT_LINES)
+      .map(({ line, text }) => `  line ${line}: ${text}`);
+    if (losses.length > shown.length) {
+      shown.push(`  ... and ${losses.length - shown.length} more`);
+    }
+    log.warn(
+      `Feishu did not keep ${losses.length} line(s) of ${entry.file} as written:\n${shown.join('\n')}`
+    );
+  }
+  if (!verify.rewriteLocal) {
+    return { lossless: false, losses, rewritten: false };
+  }
+
+  const fileAbs = path.join(rootDir, entry.file);
+  let current;
+  try {
+    current = await fs.readFile(fileAbs, 'utf8');
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+    current = null;
+  }
+  if (current === null || hashMarkdown(current) !== hashMarkdown(markdown)) {
+    log.warn(`Not rewriting ${entry.file}: it changed again during the upload.`);
+    return { lossless: false, losses, rewritten: false };
+  }
+  await fs.writeFile(fileAbs, rendered, 'utf8');
+  entry.hash = hashMarkdown(rendered);
+  await writeBaseSnapshot(rootDir, documentId, rendered, entry);
+  log.info(`Rewrote ${entry.file} to the form Feishu stores.`);
+  return { lossless: false, losses, rewritten: true };
+}
+
+export async function deleteRemoteDocumentJournaled({ rootDir, documentId, token, fileType }) {
+  const entry = await beginJournalEntry(rootDir, { type: 'delete', documentId, fileType });
+  await deleteRemoteDocument(documentId, token, fileType);
+  await markJournalEntry(rootDir, entry, { stage: 'done' });
+}
+
+async function isRemoteDocumentGone(documentId, token) {
+  try {
+    await fetchDocumentMeta(documentId, token);
+    return false;
+  } catch (err) {
+    if (isRemoteNotFoundError(err)) return true;
+    throw err;
+  }
+}
+
+async function recordRecoveredUpload(rootDir, manifestDocs, entry, token) {
+  const docEntry = manifestDocs[entry.documentId];
+  if (!docEntry || !entry.file || docEntry.file !== entry.file) return;
+  const fileAbs = path.join(rootDir, entry.file);
+  if (!(await fileExists(fileAbs))) return;
+  if ((await hashMarkdownFile(fileAbs)) !== hashMarkdown(entry.markdown)) return;
+  const meta = await fetchDocumentMeta(entry.documentId, token);
+  manifestDocs[entry.documentId] = {
+    ...docEntry,
+    revisionId: meta.revision_id ?? meta.revisionId ?? docEntry.revisionId ?? null,
+    title: meta.title || docEntry.title || '',
+    hash: hashMarkdown(entry.markdown),
+  };
+  await writeBaseSnapshot(
+    rootDir,
+    entry.documentId,
+    entry.markdown,
+    manifestDocs[entry.documentId]
+  );
+}
+
+async function recoverJournalEntry({ rootDir, token, manifestDocs, tombstones, entry }) {
+  if (entry.type === 'write') {
+    if (entry.stage !== 'done') {
+      await uploadMarkdownToDocument(
+        entry.documentId,
+        token,
+        entry.markdown,
+        entry.file ? { rootDir, file: entry.file } : undefined
+      );
+    }
+    await recordRecoveredUpload(rootDir, manifestDocs, entry, token);
+    return entry.stage === 'done'
+      ? `recorded upload of ${entry.file || entry.documentId}`
+      : `replayed upload of ${entry.file || entry.documentId}`;
+  }
+
+  if (entry.type === 'create') {
+    if (!entry.documentId) {
+      return `create of ${entry.file} stopped before Feishu returned a document; check for a stray untitled document`;
+    }
+    if (manifestDocs[entry.documentId]) {
+      return `create of ${entry.file} was already recorded`;
+    }
+    const fileAbs = path.join(rootDir, entry.file);
+    const fileTracked = Object.values(manifestDocs).some((item) => item?.file === entry.file);
+    const adoptable =
+      entry.stage === 'done' &&
+      !fileTracked &&
+      (await fileExists(fileAbs)) &&
+      (await hashMarkdownFile(fileAbs)) === hashMarkdown(entry.markdown);
+    if (adoptable) {
+      const meta = await fetchDocumentMeta(entry.documentId, token);
+      manifestDocs[entry.documentId] = {
+        file: entry.file,
+        nodeToken: entry.nodeToken || '',
+        revisionId: meta.revision_id ?? meta.revisionId ?? null,
+        title: meta.title || '',
+        fileType: 'docx',
+        hash: hashMarkdown(entry.markdown),
+      };
+      await writeBaseSnapshot(
+        rootDir,
+        entry.documentId,
+        entry.markdown,
+        manifestDocs[entry.documentId]
+      );
+      return `recorded created document for ${entry.file}`;
+    }
+    if (!(await isRemoteDocumentGone(entry.documentId, token))) {
+      await deleteRemoteDocument(entry.documentId, token, 'docx');
+    }
+    return `rolled back unfinished create of ${entry.file}`;
+  }
+
+  if (entry.type === 'delete') {
+    if (entry.stage !== 'done' && !(await isRemoteDocumentGone(entry.documentId, token))) {
+      await deleteRemoteDocument(entry.documentId, token, entry.fileType);
+    }
+    const docEntry = manifestDocs[entry.documentId];
+    if (docEntry) {
+      await recordTombstone(rootDir, tombstones, entry.documentId, docEntry, {
+        deleted: 'remote',
+        markdown: await readBaseSnapshot(rootDir, entry.documentId),
+      });
+      delete manifestDocs[entry.documentId];
+      await deleteBaseSnapshot(rootDir, entry.documentId);
+    }
+    return `finished delete of ${docEntry?.file || entry.documentId}`;
+  }
+
+  throw new Error(`Unknown journal entry type "${entry.type}".`);
+}
+
+export async function recoverJournal({ rootDir, spaceId, token, manifestName, log = console }) {
+  const entries = await readJournalEntries(rootDir);
+  if (!entries.length) return { recovered: 0, failed: 0 };
+
+  const manifest = await readManifest(rootDir, manifestName);
+  const manifestDocs = manifest.docs || {};
+  const tombstones = manifest.tombstones || {};
+  let recovered = 0;
+  let failed = 0;
+  for (const entry of entries) {
+    try {
+      const summary = await recoverJournalEntry({ rootDir, token, manifestDocs, tombstones, entry });
+      await markJournalEntry(rootDir, entry, { stage: 'done', pid: process.pid });
+      log.info(`Recovered interrupted operation: ${summary}.`);
+      recovered += 1;
+    } catch (err) {
+      const target = entry.file || entry.documentId;
+      log.warn(
+        `Could not recover interrupted ${entry.type} (${target}): ${err.message || err}. ` +
+          'It will be retried on the next run.'
+      );
+      failed += 1;
+    }
+  }
+  await writeManifest(
+    rootDir,
+    {
+      spaceId: manifest.spaceId || spaceId,
+      docs: manifestDocs,
+      tombstones,
+      exports: manifest.exports,
+    },
+    manifestName
+  );
+  return { recovered, failed };
+}
+
+export async function updateWikiNodeTitle(spaceId, token, nodeToken, title) {
+  await apiPost(
+    `/wiki/v2/spaces/${spaceId}/nodes/${nodeToken}/update_title`,
+    token,
+    { title },
+    undefined,
+    { idempotent: true }
+  );
+}
 
-  const flushBuffer = async () => {
-    if (!buffer.length) return;
-    index = await appendBlocks(documentId, token, buffer, index);
-    buffer = [];
-  };
+export async function moveWikiNode(spaceId, token, nodeToken, parentNodeToken) {
+  await apiPost(
+    `/wiki/v2/spaces/${spaceId}/nodes/${nodeToken}/move`,
+    token,
+    {
+      target_parent_token: parentNodeToken || undefined,
+      target_space_id: spaceId,
+    },
+    undefined,
+    { idempotent: true }
+  );
+}
 
-  for (const block of blocks) {
-    if (block.block_type === BLOCK_TYPE.table && block._table) {
-      await flushBuffer();
-      index = await createTableWithContent(documentId, token, block, index);
-      continue;
-    }
-    buffer.push(block);
+function nameFromRelPath(fileRel) {
+  if (isIndexFile(fileRel)) {
+    const dir = path.posix.dirname(fileRel);
+    if (dir && dir !== '.') return path.posix.basename(dir);
   }
+  return path.posix.basename(fileRel).replace(/\.md$/i, '');
+}
 
-  await flushBuffer();
+function titleFromName(name, candidates) {
+  const match = candidates.find((title) => title && sanitizeFilename(title) === name);
+  return match || name.replace(/-/g, ' ').trim() || name;
 }
 
-export async function createDocument(token, title) {
-  try {
-    const data = await apiPost('/docx/v1/documents', token, title ? { title } : undefined);
-    const documentId = data?.document?.document_id || data?.document_id || data?.documentId;
-    if (!documentId) {
-      throw new Error('Create document response missing document_id.');
+export async function applyLocalMove({
+  rootDir,
+  spaceId,
+  driveFolderToken,
+  token,
+  manifestDocs,
+  documentId,
+  oldRel,
+  newRel,
+  driveFolders,
+  mode = 'both',
+}) {
+  const entry = manifestDocs[documentId];
+  const fileType = resolveFileType(null, entry);
+  const node = driveFolderToken ? null : await fetchWikiNodeByObjToken(token, documentId, fileType);
+  const nodeToken = entry.nodeToken || node?.nodeToken || '';
+  const before = await fetchDocumentMeta(documentId, token);
+  const remoteChanged =
+    (before.revision_id ?? before.revisionId ?? null) !== (entry.revisionId ?? null);
+  entry.file = newRel;
+  entry.nodeToken = nodeToken;
+
+  const fileAbs = path.join(rootDir, newRel);
+  let markdown = await fs.readFile(fileAbs, 'utf8');
+  const edited = Boolean(entry.hash) && hashMarkdown(markdown) !== entry.hash;
+  const oldName = nameFromRelPath(oldRel);
+  const newName = nameFromRelPath(newRel);
+  if (oldName !== newName) {
+    const title = titleFromName(newName, [extractMarkdownTitle(markdown), entry.title]);
+    if (driveFolderToken) {
+      await updateDocumentTitle(documentId, token, title);
+    } else {
+      await updateWikiNodeTitle(spaceId, token, nodeToken, title);
     }
-    return { documentId, usedTitle: Boolean(title) };
-  } catch (err) {
-    if (title) {
-      const data = await apiPost('/docx/v1/documents', token);
-      const documentId = data?.document?.document_id || data?.document_id || data?.documentId;
-      if (!documentId) {
-        throw new Error('Create document response missing document_id.');
-      }
-      return { documentId, usedTitle: false };
+    const retitled = replaceMarkdownTitle(markdown, title);
+    if (retitled !== markdown) {
+      markdown = retitled;
+      await fs.writeFile(fileAbs, markdown, 'utf8');
     }
-    throw err;
   }
-}
-
-export async function addDocToWiki(spaceId, token, documentId) {
-  await apiPost(`/wiki/v2/spaces/${spaceId}/nodes/move_docs_to_wiki`, token, {
-    obj_type: 'docx',
-    obj_token: documentId,
-  });
-}
 
-async function fetchChildrenCount(documentId, token) {
-  let count = 0;
-  let pageToken;
-  let hasMore = true;
-  while (hasMore) {
-    const data = await apiGet(
-      `/docx/v1/documents/${documentId}/blocks/${documentId}/children`,
+  if (driveFolderToken) {
+    const oldDir = path.posix.dirname(oldRel);
+    const newDir = path.posix.dirname(newRel);
+    if (oldDir !== newDir) {
+      const folderToken = await ensureDriveFolderPath(
+        token,
+        driveFolderToken,
+        newDir,
+        driveFolders
+      );
+      await moveDriveFile(token, documentId, fileType, folderToken);
+    }
+  } else {
+    const parentNodeToken = await ensureWikiParentNode({
+      rootDir,
+      spaceId,
       token,
-      {
-        page_size: 200,
-        document_revision_id: -1,
-        page_token: pageToken,
-      }
-    );
-    const items = data.items || data.blocks || data.children || [];
-    count += items.length;
-    pageToken = data.page_token || data.next_page_token || '';
-    if (typeof data.has_more === 'boolean') {
-      hasMore = data.has_more;
-    } else {
-      hasMore = Boolean(pageToken);
+      manifestDocs,
+      fileRel: newRel,
+    });
+    if ((parentNodeToken || '') !== (node.parentNodeToken || '')) {
+      await moveWikiNode(spaceId, token, nodeToken, parentNodeToken);
     }
   }
-  return count;
-}
 
-async function deleteAllChildren(documentId, token) {
-  let remaining = await fetchChildrenCount(documentId, token);
-  while (remaining > 0) {
-    const batch = Math.min(DELETE_BATCH_SIZE, remaining);
-    await apiDelete(
-      `/docx/v1/documents/${documentId}/blocks/${documentId}/children/batch_delete`,
+  const hash = hashMarkdown(markdown);
+  if (edited && remoteChanged && mode !== 'push') {
+    const conflictRel = buildConflictPath(newRel);
+    const result = await mergeDocumentChanges({
+      rootDir,
+      documentId,
       token,
-      {
-        start_index: 0,
-        end_index: batch,
+      metadata: {
+        document_id: documentId,
+        revision_id: before.revision_id ?? before.revisionId ?? null,
+        title: before.title || entry.title || '',
       },
-      { document_revision_id: -1 }
-    );
-    remaining -= batch;
+      fileAbs,
+      conflictAbs: path.join(rootDir, conflictRel),
+    });
+    if (!result.merged) {
+      return { hash: entry.hash, remoteChanged, synced: 'conflict', conflictRel };
+    }
+    manifestDocs[documentId] = {
+      ...entry,
+      revisionId: result.revisionId,
+      title: result.title,
+      hash: result.hash,
+    };
+    return { hash: result.hash, remoteChanged, synced: 'merge' };
   }
+  if (remoteChanged && !edited) {
+    manifestDocs[documentId] = { ...entry, hash };
+    return { hash, remoteChanged };
+  }
+  if (edited) {
+    await uploadMarkdownJournaled({ rootDir, documentId, token, markdown, file: newRel });
+  }
+  const meta = await fetchDocumentMeta(documentId, token);
+  manifestDocs[documentId] = {
+    ...entry,
+    revisionId: meta.revision_id ?? meta.revisionId ?? entry.revisionId ?? null,
+    title: meta.title || entry.title || '',
+    hash,
+  };
+  await writeBaseSnapshot(rootDir, documentId, markdown, {
+    ...manifestDocs[documentId],
+    file: newRel,
+  });
+  return { hash, remoteChanged, synced: edited ? 'upload' : null };
 }
 
-export async function uploadMarkdownToDocument(documentId, token, markdown) {
-  const { blocks } = markdownToBlocks(markdown);
-  await deleteAllChildren(documentId, token);
-  await appendBlocksWithTables(documentId, token, blocks);
+export async function renameLocalFileForTitle({ rootDir, fileRel, title, usedPaths }) {
+  const desiredRel = resolveDocRelPath(placementFromFile(fileRel, ''), title);
+  if (!title || desiredRel === fileRel) return fileRel;
+  const candidates = new Set(usedPaths);
+  candidates.delete(fileRel);
+  const newRel = await ensureUniqueFilePathWithFs(rootDir, desiredRel, candidates);
+  await relocateLocalFile(rootDir, fileRel, newRel);
+  usedPaths.delete(fileRel);
+  usedPaths.add(newRel);
+  return newRel;
 }
 
-export async function createDocumentFromMarkdown(spaceId, token, markdown) {
-  const { title, blocks } = markdownToBlocks(markdown);
-  const { documentId, usedTitle } = await createDocument(token, title);
+export function resolveDocRelPath(node, title) {
+  if (node.folder) return `${node.folder}/index.md`;
+  const baseName = sanitizeFilename(title) || node.documentId;
+  return node.dir ? `${node.dir}/${baseName}.md` : `${baseName}.md`;
+}
 
-  const contentBlocks = usedTitle
-    ? blocks
-    : [
-        {
-          block_type: BLOCK_TYPE.heading1,
-          heading1: {
-            style: {},
-            elements: [{ text_run: { content: title, text_element_style: {} } }],
-          },
-        },
-        ...blocks,
-      ];
+function isIndexFile(fileRel) {
+  return path.posix.basename(fileRel).toLowerCase() === 'index.md';
+}
 
-  await appendBlocksWithTables(documentId, token, contentBlocks);
-  await addDocToWiki(spaceId, token, documentId);
-  return documentId;
+export function compareLocalCreationOrder(a, b) {
+  const depthA = a.split('/').length;
+  const depthB = b.split('/').length;
+  if (depthA !== depthB) return depthA - depthB;
+  const indexA = isIndexFile(a) ? 0 : 1;
+  const indexB = isIndexFile(b) ? 0 : 1;
+  return indexA - indexB || a.localeCompare(b);
+}
+
+function placementFromFile(fileRel, documentId) {
+  const dir = path.posix.dirname(fileRel) === '.' ? '' : path.posix.dirname(fileRel);
+  return { documentId, dir, folder: dir && isIndexFile(fileRel) ? dir : null };
+}
+
+function findManifestEntryByFile(manifestDocs, fileRel) {
+  for (const [docId, entry] of Object.entries(manifestDocs)) {
+    if (entry?.file === fileRel) return [docId, entry];
+  }
+  return [null, null];
+}
+
+export async function ensureWikiParentNode({ rootDir, spaceId, token, manifestDocs, fileRel }) {
+  const dir = path.posix.dirname(fileRel);
+  const parentDir = isIndexFile(fileRel) ? path.posix.dirname(dir) : dir;
+  if (!parentDir || parentDir === '.') return undefined;
+
+  const indexRel = `${parentDir}/index.md`;
+  let [parentDocId, parentEntry] = findManifestEntryByFile(manifestDocs, indexRel);
+  if (!parentEntry) {
+    [parentDocId, parentEntry] = findManifestEntryByFile(manifestDocs, `${parentDir}.md`);
+  }
+  if (parentEntry) {
+    if (!parentEntry.nodeToken) {
+      const node = await fetchWikiNodeByObjToken(token, parentDocId, parentEntry.fileType);
+      parentEntry.nodeToken = node.nodeToken;
+    }
+    return parentEntry.nodeToken || undefined;
+  }
+
+  const grandParentNodeToken = await ensureWikiParentNode({
+    rootDir,
+    spaceId,
+    token,
+    manifestDocs,
+    fileRel: indexRel,
+  });
+  const indexAbs = path.join(rootDir, indexRel);
+  let markdown;
+  if (await fileExists(indexAbs)) {
+    markdown = await fs.readFile(indexAbs, 'utf8');
+  } else {
+    markdown = `# ${path.posix.basename(parentDir)}\n`;
+    await fs.mkdir(path.dirname(indexAbs), { recursive: true });
+    await fs.writeFile(indexAbs, markdown, 'utf8');
+  }
+
+  const created = await createDocumentJournaled({
+    rootDir,
+    spaceId,
+    token,
+    markdown,
+    file: indexRel,
+    parent: { parentNodeToken: grandParentNodeToken },
+  });
+  const meta = await fetchDocumentMeta(created.documentId, token);
+  manifestDocs[created.documentId] = {
+    file: indexRel,
+    nodeToken: created.nodeToken,
+    revisionId: meta.revision_id ?? meta.revisionId ?? null,
+    title: meta.title || '',
+    fileType: 'docx',
+    hash: hashMarkdown(markdown),
+  };
+  await writeBaseSnapshot(rootDir, created.documentId, markdown, manifestDocs[created.documentId]);
+  return created.nodeToken || undefined;
+}
+
+export async function resolveNewDocParent({
+  rootDir,
+  spaceId,
+  driveFolderToken,
+  token,
+  manifestDocs,
+  fileRel,
+  driveFolders,
+}) {
+  if (driveFolderToken) {
+    const folderToken = await ensureDriveFolderPath(
+      token,
+      driveFolderToken,
+      path.posix.dirname(fileRel),
+      driveFolders
+    );
+    return { folderToken };
+  }
+  const parentNodeToken = await ensureWikiParentNode({
+    rootDir,
+    spaceId,
+    token,
+    manifestDocs,
+    fileRel,
+  });
+  return { parentNodeToken };
 }
 
 export async function subscribeToDocEvents(fileToken, token, fileType, eventType) {
@@ -434,12 +2108,15 @@ export async function subscribeToDocEvents(fileToken, token, fileType, eventType
   if (eventType) {
     query.event_type = eventType;
   }
-  await apiPost(`/drive/v1/files/${fileToken}/subscribe`, token, undefined, query);
+  await apiPost(`/drive/v1/files/${fileToken}/subscribe`, token, undefined, query, {
+    idempotent: true,
+  });
 }
 
 export function createChangeProcessor({
   token,
   spaceId,
+  driveFolderToken,
   rootDir,
   debounceMs,
   dedupeWindowMs,
@@ -448,6 +2125,13 @@ export function createChangeProcessor({
   runFullSync,
   subscribeToDocument,
   manifestName,
+  deleteLimits,
+  syncFilter,
+  onBatchSynced,
+  mode = 'both',
+  verify,
+  ownsFolder,
+  log = console,
 }) {
   let processing = false;
   let queued = false;
@@ -456,6 +2140,9 @@ export function createChangeProcessor({
   const recentEvents = new Map();
   const pendingRemote = new Map();
   const pendingLocal = new Set();
+  const pendingRenamed = new Set();
+  const eventFolders = new Map();
+  const driveFolders = new Map();
 
   const pruneRecent = (now) => {
     for (const [eventId, ts] of recentEvents.entries()) {
@@ -512,18 +2199,25 @@ export function createChangeProcessor({
       console.log(`[realtime-sync] event ${eventInfo}`);
     }
 
+    const folderToken = data.folder_token || data.folderToken || '';
+    if (folderToken) {
+      eventFolders.set(fileToken, folderToken);
+    }
     pendingRemote.set(fileToken, eventType);
     scheduleProcess();
   };
 
-  const handleLocalChange = (detail) => {
+  const handleLocalChange = (detail, eventType) => {
     const relPath = detail ? ensurePosixPath(detail) : '';
-    if (relPath && !shouldSyncLocalPath(relPath, manifestName)) return;
+    if (relPath && !shouldSyncLocalPath(relPath, manifestName, syncFilter)) return;
     if (logEvents) {
       console.log(`[realtime-sync] local change ${relPath || ''}`.trim());
     }
     if (relPath) {
       pendingLocal.add(relPath);
+      if (eventType === 'rename') {
+        pendingRenamed.add(relPath);
+      }
     } else {
       pendingLocal.add('local');
     }
@@ -538,11 +2232,13 @@ export function createChangeProcessor({
     processing = true;
     const remoteBatch = new Map(pendingRemote);
     const localBatch = new Set(pendingLocal);
+    const renamedBatch = new Set(pendingRenamed);
     pendingRemote.clear();
     pendingLocal.clear();
+    pendingRenamed.clear();
 
     try {
-      await processChanges(remoteBatch, localBatch);
+      await processChanges(remoteBatch, localBatch, renamedBatch);
     } finally {
       processing = false;
       lastProcessCompletedAt = Date.now();
@@ -557,7 +2253,7 @@ export function createChangeProcessor({
     }
   };
 
-  const processChanges = async (remoteBatch, localBatch) => {
+  const processChanges = async (remoteBatch, localBatch, renamedBatch) => {
     if (localBatch.has('local')) {
       localBatch.delete('local');
       if (typeof runFullSync === 'function') {
@@ -565,9 +2261,19 @@ export function createChangeProcessor({
       }
       return;
     }
+    await withSyncLock(rootDir, () => applyChanges(remoteBatch, localBatch, renamedBatch), {
+      purpose: 'realtime sync',
+      waitMs: Infinity,
+    });
+  };
+
+  const applyChanges = async (remoteBatch, localBatch, renamedBatch) => {
     const manifest = await readManifest(rootDir, manifestName);
     const manifestDocs = manifest.docs || {};
+    const tombstones = manifest.tombstones || {};
     let manifestDirty = false;
+    const changes = [];
+    const forceUpload = new Set();
 
     const fileToDoc = new Map();
     const usedPaths = new Set();
@@ -578,17 +2284,146 @@ export function createChangeProcessor({
       }
     }
 
+    const findDriveFolderDir = (folderToken) => {
+      if (folderToken === driveFolderToken) return '';
+      for (const [dir, cachedToken] of driveFolders) {
+        if (cachedToken === folderToken) return dir;
+      }
+      return undefined;
+    };
+
+    const placeDriveDocument = async (docId, title, parentToken) => {
+      let dir = parentToken ? findDriveFolderDir(parentToken) : undefined;
+      if (dir === undefined && parentToken && ownsFolder && !ownsFolder(parentToken)) {
+        return { desiredRel: '', nodeToken: '', selected: false };
+      }
+      let node = null;
+      if (dir === undefined) {
+        const collected = [];
+        driveFolders.clear();
+        try {
+          await collectDriveDocNodes(token, driveFolderToken, collected, '', driveFolders);
+        } catch (err) {
+          console.warn(`[realtime-sync] failed to list drive folder for ${docId}: ${err.message || err}`);
+        }
+        node = collected.find((item) => item.documentId === docId);
+        dir = node?.dir;
+      }
+      if (dir === undefined) {
+        return { desiredRel: '', nodeToken: '', selected: false };
+      }
+      const desiredRel = resolveDocRelPath({ dir, documentId: docId }, title || node?.title);
+      const selected = !syncFilter || syncFilter.allows(desiredRel);
+      return { desiredRel, nodeToken: '', selected };
+    };
+
+    const placeRemoteDocument = async (docId, title, fileType, folderToken) => {
+      if (driveFolderToken) {
+        return placeDriveDocument(docId, title, folderToken);
+      }
+      let node = null;
+      try {
+        node = await fetchWikiNodeByObjToken(token, docId, fileType);
+      } catch (err) {
+        console.warn(`[realtime-sync] failed to fetch wiki node for ${docId}: ${err.message || err}`);
+      }
+      let dir = '';
+      const parent = node?.parentNodeToken
+        ? Object.entries(manifestDocs).find(([, item]) => item?.nodeToken === node.parentNodeToken)
+        : null;
+      if (parent?.[1]?.file) {
+        const [parentId, parentEntry] = parent;
+        if (isIndexFile(parentEntry.file)) {
+          dir = path.posix.dirname(parentEntry.file);
+        } else {
+          const oldRel = parentEntry.file;
+          const promotedRel = await ensureUniqueFilePathWithFs(
+            rootDir,
+            path.posix.join(oldRel.replace(/\.md$/i, ''), 'index.md'),
+            usedPaths
+          );
+          await relocateLocalFile(rootDir, oldRel, promotedRel);
+          parentEntry.file = promotedRel;
+          usedPaths.delete(oldRel);
+          usedPaths.add(promotedRel);
+          fileToDoc.delete(oldRel);
+          fileToDoc.set(promotedRel, parentId);
+          localBatch.delete(oldRel);
+          manifestDirty = true;
+          dir = path.posix.dirname(promotedRel);
+        }
+      }
+      const baseName = sanitizeFilename(title) || docId;
+      const desiredRel = node?.hasChild
+        ? path.posix.join(dir, baseName, 'index.md')
+        : path.posix.join(dir, `${baseName}.md`);
+      const roots = syncFilter?.rootNodeTokens || [];
+      const selected =
+        (!node?.spaceId || node.spaceId === spaceId) &&
+        (!roots.length || Boolean(parent) || roots.includes(node?.nodeToken)) &&
+        (!syncFilter || syncFilter.allows(desiredRel));
+      return { desiredRel, nodeToken: node?.nodeToken || '', selected };
+    };
+
+    const restoreFromRemote = async (docId, fileRel) => {
+      const entry = manifestDocs[docId];
+      const fileAbs = path.join(rootDir, fileRel);
+      if (await fileExists(fileAbs)) {
+        const markdown = await fs.readFile(fileAbs, 'utf8');
+        await recordHistoryVersion(rootDir, docId, markdown, { file: fileRel });
+      }
+      const meta = await fetchDocumentMeta(docId, token);
+      const title = meta.title || entry.title || '';
+      const revisionId = meta.revision_id ?? meta.revisionId ?? entry.revisionId ?? null;
+      const hash = await downloadDocumentToFile(
+        docId,
+        token,
+        { document_id: docId, revision_id: revisionId, title },
+        fileAbs,
+        rootDir
+      );
+      manifestDocs[docId] = { ...entry, revisionId, title, hash };
+      await recordBaseSnapshot(rootDir, docId, fileAbs, manifestDocs[docId]);
+      changes.push({ type: 'download', docId, file: fileRel, fileType: entry.fileType });
+      manifestDirty = true;
+    };
+
     for (const [docId, eventType] of remoteBatch.entries()) {
+      const folderToken = eventFolders.get(docId);
+      eventFolders.delete(docId);
+      const tracked = manifestDocs[docId];
+      if (tracked?.file && syncFilter && !syncFilter.allows(tracked.file)) continue;
+
+      if (eventType === 'drive.file.trashed_v1' && mode === 'push') {
+        if (tracked?.file) {
+          delete manifestDocs[docId];
+          await deleteBaseSnapshot(rootDir, docId);
+          fileToDoc.delete(tracked.file);
+          localBatch.add(tracked.file);
+          manifestDirty = true;
+        }
+        continue;
+      }
+
       if (eventType === 'drive.file.trashed_v1') {
         const entry = manifestDocs[docId];
         if (entry?.file) {
           localBatch.delete(entry.file);
           const fileAbs = path.join(rootDir, entry.file);
+          if (await fileExists(fileAbs)) {
+            await recordTombstone(rootDir, tombstones, docId, entry, {
+              deleted: 'local',
+              markdown: await fs.readFile(fileAbs, 'utf8'),
+            });
+          }
           await deleteLocalFile(fileAbs);
+          await pruneEmptyDirs(rootDir, path.dirname(fileAbs));
+          changes.push({ type: 'delete-local', docId, file: entry.file });
           manifestDirty = true;
         }
         if (manifestDocs[docId]) {
           delete manifestDocs[docId];
+          await deleteBaseSnapshot(rootDir, docId);
           manifestDirty = true;
         }
         continue;
@@ -607,27 +2442,41 @@ export function createChangeProcessor({
       const entry = manifestDocs[docId];
       const title = meta.title || entry?.title || '';
       const revisionId = meta.revision_id ?? meta.revisionId ?? entry?.revisionId ?? null;
-      const baseName = sanitizeFilename(title) || docId;
-      const desiredName = `${baseName}.md`;
+      if (mode === 'push') {
+        if (entry?.file && entry.revisionId && revisionId && entry.revisionId !== revisionId) {
+          forceUpload.add(entry.file);
+          localBatch.add(entry.file);
+        }
+        continue;
+      }
       let fileRel = entry?.file;
-      const renameCandidates = new Set(usedPaths);
+      let nodeToken = entry?.nodeToken || '';
+      let desiredRel;
       if (fileRel) {
-        renameCandidates.delete(fileRel);
+        desiredRel = resolveDocRelPath(placementFromFile(fileRel, docId), title);
+      } else {
+        const placement = await placeRemoteDocument(docId, title, entry?.fileType, folderToken);
+        if (!placement.selected) {
+          if (logEvents) {
+            console.log(`[realtime-sync] ignored ${docId}: outside the selected sync scope`);
+          }
+          continue;
+        }
+        desiredRel = placement.desiredRel;
+        nodeToken = placement.nodeToken;
+      }
+      if (desiredRel !== fileRel) {
+        const renameCandidates = new Set(usedPaths);
+        if (fileRel) {
+          renameCandidates.delete(fileRel);
+        }
+        desiredRel = await ensureUniqueFilePathWithFs(rootDir, desiredRel, renameCandidates);
       }
-      const desiredRel = await ensureUniqueFilePathWithFs(
-        rootDir,
-        desiredName,
-        renameCandidates
-      );
       if (!fileRel) {
         fileRel = desiredRel;
       } else if (desiredRel && desiredRel !== fileRel) {
         const oldRel = fileRel;
-        const oldAbs = path.join(rootDir, oldRel);
-        const newAbs = path.join(rootDir, desiredRel);
-        if (await fileExists(oldAbs)) {
-          await fs.rename(oldAbs, newAbs);
-        }
+        await relocateLocalFile(rootDir, oldRel, desiredRel);
         fileRel = desiredRel;
         usedPaths.delete(oldRel);
         usedPaths.add(fileRel);
@@ -636,6 +2485,7 @@ export function createChangeProcessor({
         localBatch.delete(oldRel);
         if (entry) {
           entry.file = fileRel;
+          changes.push({ type: 'move-local', docId, from: oldRel, file: fileRel });
         }
         manifestDirty = true;
       }
@@ -646,7 +2496,7 @@ export function createChangeProcessor({
       let localExists = false;
       if (await fileExists(fileAbs)) {
         localExists = true;
-        localHash = await hashFile(fileAbs);
+        localHash = await hashMarkdownFile(fileAbs);
       }
 
       const localChanged =
@@ -659,16 +2509,21 @@ export function createChangeProcessor({
           docId,
           token,
           { document_id: docId, revision_id: revisionId, title },
-          fileAbs
+          fileAbs,
+          rootDir
         );
         manifestDocs[docId] = {
           file: fileRel,
+          nodeToken,
           revisionId,
           title,
           fileType: resolveFileType({ fileType: entry?.fileType }),
           hash,
         };
+        await recordBaseSnapshot(rootDir, docId, fileAbs, manifestDocs[docId]);
         usedPaths.add(fileRel);
+        fileToDoc.set(fileRel, docId);
+        changes.push({ type: 'download', docId, file: fileRel, fileType: entry?.fileType });
         manifestDirty = true;
         if (typeof subscribeToDocument === 'function') {
           await subscribeToDocument(docId, resolveFileType(null, manifestDocs[docId]));
@@ -676,15 +2531,37 @@ export function createChangeProcessor({
         continue;
       }
 
-      if (remoteChanged && localChanged) {
+      if (remoteChanged && localChanged && mode !== 'pull') {
         const conflictRel = buildConflictPath(fileRel);
-        const conflictAbs = path.join(rootDir, conflictRel);
-        await downloadDocumentToFile(
-          docId,
+        const result = await mergeDocumentChanges({
+          rootDir,
+          documentId: docId,
           token,
-          { document_id: docId, revision_id: revisionId, title },
-          conflictAbs
-        );
+          metadata: { document_id: docId, revision_id: revisionId, title },
+          fileAbs,
+          conflictAbs: path.join(rootDir, conflictRel),
+        });
+        if (result.merged) {
+          manifestDocs[docId] = {
+            ...entry,
+            file: fileRel,
+            revisionId: result.revisionId,
+            title: result.title,
+            fileType: resolveFileType({ fileType: entry?.fileType }),
+            hash: result.hash,
+          };
+          changes.push({ type: 'merge', docId, file: fileRel, fileType: entry?.fileType });
+          manifestDirty = true;
+        } else {
+          console.warn(`[realtime-sync] conflict for ${fileRel}, remote saved to ${conflictRel}`);
+          changes.push({ type: 'conflict', docId, file: conflictRel, fileType: entry?.fileType });
+        }
+        continue;
+      }
+
+      if (remoteChanged && localChanged) {
+        console.warn(`[realtime-sync] overwriting local edits to ${fileRel} (pull mode)`);
+        await restoreFromRemote(docId, fileRel);
         continue;
       }
 
@@ -693,7 +2570,8 @@ export function createChangeProcessor({
           docId,
           token,
           { document_id: docId, revision_id: revisionId, title },
-          fileAbs
+          fileAbs,
+          rootDir
         );
         manifestDocs[docId] = {
           ...entry,
@@ -703,6 +2581,8 @@ export function createChangeProcessor({
           fileType: resolveFileType({ fileType: entry?.fileType }),
           hash,
         };
+        await recordBaseSnapshot(rootDir, docId, fileAbs, manifestDocs[docId]);
+        changes.push({ type: 'download', docId, file: fileRel, fileType: entry?.fileType });
         manifestDirty = true;
         continue;
       }
@@ -716,51 +2596,206 @@ export function createChangeProcessor({
       }
     }
 
-    for (const fileRel of Array.from(localBatch)) {
+    if (mode === 'pull') {
+      for (const fileRel of Array.from(localBatch).sort(compareLocalCreationOrder)) {
+        if (fileRel === 'local') continue;
+        const docId = fileToDoc.get(fileRel);
+        const fileAbs = path.join(rootDir, fileRel);
+        const exists = await fileExists(fileAbs);
+        if (!docId) {
+          if (exists) {
+            console.warn(`[realtime-sync] not uploading ${fileRel}: pull mode never uploads`);
+          }
+          continue;
+        }
+        if (exists && (await hashMarkdownFile(fileAbs)) === manifestDocs[docId]?.hash) continue;
+        console.warn(`[realtime-sync] restoring ${fileRel} from Feishu (pull mode)`);
+        await restoreFromRemote(docId, fileRel);
+      }
+      localBatch.clear();
+    }
+
+    const missingInBatch = [];
+    const untrackedInBatch = [];
+    for (const fileRel of localBatch) {
       if (fileRel === 'local') continue;
+      const fileAbs = path.join(rootDir, fileRel);
       const docId = fileToDoc.get(fileRel);
+      const exists = await fileExists(fileAbs);
+      if (!exists && docId) {
+        missingInBatch.push({ docId, relPath: fileRel, hash: manifestDocs[docId]?.hash });
+      } else if (exists && !docId) {
+        untrackedInBatch.push({ relPath: fileRel, hash: await hashMarkdownFile(fileAbs) });
+      }
+    }
+    const moves = matchMovedFiles(missingInBatch, untrackedInBatch, renamedBatch);
+    moves.sort((a, b) => compareLocalCreationOrder(a.newRel, b.newRel));
+    for (const move of moves) {
+      const { synced, conflictRel } = await applyLocalMove({
+        rootDir,
+        spaceId,
+        driveFolderToken,
+        token,
+        manifestDocs,
+        documentId: move.docId,
+        oldRel: move.oldRel,
+        newRel: move.newRel,
+        driveFolders,
+        mode,
+      });
+      fileToDoc.delete(move.oldRel);
+      fileToDoc.set(move.newRel, move.docId);
+      usedPaths.delete(move.oldRel);
+      usedPaths.add(move.newRel);
+      localBatch.delete(move.oldRel);
+      localBatch.delete(move.newRel);
+      changes.push({ type: 'move', docId: move.docId, from: move.oldRel, file: move.newRel });
+      if (synced === 'conflict') {
+        console.warn(`[realtime-sync] conflict for ${move.newRel}, remote saved to ${conflictRel}`);
+        changes.push({ type: 'conflict', docId: move.docId, file: conflictRel });
+      } else if (synced) {
+        changes.push({ type: synced, docId: move.docId, file: move.newRel });
+      }
+      manifestDirty = true;
+      if (logEvents) {
+        console.log(`[realtime-sync] moved ${move.oldRel} -> ${move.newRel}`);
+      }
+    }
+
+    let pendingDeletes = 0;
+    for (const fileRel of localBatch) {
+      const docId = fileToDoc.get(fileRel) || findManifestEntryByFile(manifestDocs, fileRel)[0];
+      if (docId && !(await fileExists(path.join(rootDir, fileRel)))) {
+        pendingDeletes += 1;
+      }
+    }
+    const deleteProblem = checkDeleteLimit(
+      pendingDeletes,
+      Object.keys(manifestDocs).length,
+      deleteLimits
+    );
+    if (deleteProblem) {
+      console.warn(
+        `[realtime-sync] refusing to delete remote documents: ${deleteProblem}. Run \`npm run update -- --allow-deletes\` if this is intended.`
+      );
+    }
+
+    for (const fileRel of Array.from(localBatch).sort(compareLocalCreationOrder)) {
+      if (fileRel === 'local') continue;
+      const docId = fileToDoc.get(fileRel) || findManifestEntryByFile(manifestDocs, fileRel)[0];
       const fileAbs = path.join(rootDir, fileRel);
       const exists = await fileExists(fileAbs);
 
       if (!exists) {
-        if (docId) {
+        if (docId && !deleteProblem) {
           const entry = manifestDocs[docId];
-          await deleteRemoteDocument(docId, token, resolveFileType(null, entry));
+          await deleteRemoteDocumentJournaled({
+            rootDir,
+            documentId: docId,
+            token,
+            fileType: resolveFileType(null, entry),
+          });
+          await recordTombstone(rootDir, tombstones, docId, entry, {
+            deleted: 'remote',
+            markdown: await readBaseSnapshot(rootDir, docId),
+          });
           delete manifestDocs[docId];
+          await deleteBaseSnapshot(rootDir, docId);
+          changes.push({ type: 'delete-remote', docId, file: fileRel });
           manifestDirty = true;
         }
         continue;
       }
 
-      const hash = await hashFile(fileAbs);
+      const hash = await hashMarkdownFile(fileAbs);
       if (docId) {
         const entry = manifestDocs[docId];
-        if (entry?.hash && entry.hash === hash) continue;
+        if (entry?.hash && entry.hash === hash && !forceUpload.has(fileRel)) continue;
         const markdown = await fs.readFile(fileAbs, 'utf8');
-        await uploadMarkdownToDocument(docId, token, markdown);
+        const { titleChanged } = await uploadMarkdownJournaled({
+          rootDir,
+          documentId: docId,
+          token,
+          markdown,
+          file: fileRel,
+        });
         const meta = await fetchDocumentMeta(docId, token);
+        let currentRel = fileRel;
+        if (titleChanged) {
+          currentRel = await renameLocalFileForTitle({
+            rootDir,
+            fileRel,
+            title: meta.title,
+            usedPaths,
+          });
+          fileToDoc.delete(fileRel);
+          fileToDoc.set(currentRel, docId);
+        }
         manifestDocs[docId] = {
           ...entry,
-          file: fileRel,
+          file: currentRel,
           revisionId: meta.revision_id ?? meta.revisionId ?? entry?.revisionId ?? null,
           title: meta.title || entry?.title || '',
           fileType: resolveFileType(null, entry),
           hash,
         };
+        await writeBaseSnapshot(rootDir, docId, markdown, manifestDocs[docId]);
+        await verifyUploadedDocument({
+          rootDir,
+          documentId: docId,
+          token,
+          markdown,
+          entry: manifestDocs[docId],
+          verify,
+          log,
+        });
+        changes.push({ type: 'upload', docId, file: currentRel });
         manifestDirty = true;
       } else {
+        if (syncFilter && !syncFilter.allowsNewFile(fileRel, fileToDoc)) {
+          console.warn(`[realtime-sync] not uploading ${fileRel}: outside the selected wiki roots`);
+          continue;
+        }
         const markdown = await fs.readFile(fileAbs, 'utf8');
-        const newDocId = await createDocumentFromMarkdown(spaceId, token, markdown);
+        const parent = await resolveNewDocParent({
+          rootDir,
+          spaceId,
+          driveFolderToken,
+          token,
+          manifestDocs,
+          fileRel,
+          driveFolders,
+        });
+        const { documentId: newDocId, nodeToken } = await createDocumentJournaled({
+          rootDir,
+          spaceId,
+          token,
+          markdown,
+          file: fileRel,
+          parent,
+        });
         const meta = await fetchDocumentMeta(newDocId, token);
         manifestDocs[newDocId] = {
           file: fileRel,
+          nodeToken,
           revisionId: meta.revision_id ?? meta.revisionId ?? null,
           title: meta.title || '',
           fileType: 'docx',
           hash,
         };
+        await writeBaseSnapshot(rootDir, newDocId, markdown, manifestDocs[newDocId]);
+        await verifyUploadedDocument({
+          rootDir,
+          documentId: newDocId,
+          token,
+          markdown,
+          entry: manifestDocs[newDocId],
+          verify,
+          log,
+        });
         fileToDoc.set(fileRel, newDocId);
         usedPaths.add(fileRel);
+        changes.push({ type: 'create', docId: newDocId, file: fileRel });
         manifestDirty = true;
         if (typeof subscribeToDocument === 'function') {
           await subscribeToDocument(newDocId, 'docx');
@@ -769,7 +2804,14 @@ export function createChangeProcessor({
     }
 
     if (manifestDirty) {
-      await writeManifest(rootDir, { spaceId, docs: manifestDocs }, manifestName);
+      await writeManifest(
+        rootDir,
+        { spaceId, docs: manifestDocs, tombstones, exports: manifest.exports },
+        manifestName
+      );
+    }
+    if (changes.length && typeof onBatchSynced === 'function') {
+      await onBatchSynced(changes);
     }
   };
 
@@ -782,14 +2824,24 @@ export function createChangeProcessor({
   };
 }
 
-export async function syncNewDocsFromWiki({
+export async function syncNewDocsFromWiki(options) {
+  return withSyncLock(options.rootDir, () => pollNewDocs(options), { purpose: 'poll' });
+}
+
+async function pollNewDocs({
   rootDir,
   spaceId,
+  driveFolderToken,
   token,
   logEvents,
   subscribeToDocument,
   manifestName,
+  syncFilter,
+  onBatchSynced,
+  mode = 'both',
+  tableExports,
 }) {
+  if (mode === 'push') return { added: 0 };
   const manifest = await readManifest(rootDir, manifestName);
   const manifestDocs = manifest.docs || {};
   const existingDocIds = new Set(Object.keys(manifestDocs));
@@ -798,15 +2850,43 @@ export async function syncNewDocsFromWiki({
     if (entry?.file) usedPaths.add(entry.file);
   }
 
-  const wikiDocs = [];
-  await collectWikiDocNodes(spaceId, token, undefined, wikiDocs);
+  const { nodes: wikiDocs, exportNodes, excluded } = driveFolderToken
+    ? await collectSyncedDriveDocNodes(driveFolderToken, token, syncFilter)
+    : await collectSyncedWikiDocNodes(spaceId, token, syncFilter);
 
   let added = 0;
   let manifestDirty = false;
+  const changes = [];
 
   for (const node of wikiDocs) {
     const docId = node.documentId;
-    if (!docId || existingDocIds.has(docId)) continue;
+    if (!docId) continue;
+    const entry = manifestDocs[docId];
+    if (entry) {
+      if (entry.file && syncFilter && !syncFilter.allows(entry.file)) continue;
+      if (node.nodeToken && entry.nodeToken !== node.nodeToken) {
+        entry.nodeToken = node.nodeToken;
+        manifestDirty = true;
+      }
+      const desiredRel = resolveDocRelPath(node, entry.title || node.title);
+      if (entry.file && desiredRel !== entry.file) {
+        const oldRel = entry.file;
+        const candidates = new Set(usedPaths);
+        candidates.delete(oldRel);
+        const newRel = await ensureUniqueFilePathWithFs(rootDir, desiredRel, candidates);
+        await relocateLocalFile(rootDir, oldRel, newRel);
+        entry.file = newRel;
+        usedPaths.delete(oldRel);
+        usedPaths.add(newRel);
+        changes.push({ type: 'move-local', docId, from: oldRel, file: newRel });
+        manifestDirty = true;
+        if (logEvents) {
+          console.log(`[realtime-sync] moved ${oldRel} -> ${newRel}`);
+        }
+      }
+      continue;
+    }
+    if (existingDocIds.has(docId)) continue;
 
     let meta;
     try {
@@ -818,26 +2898,33 @@ export async function syncNewDocsFromWiki({
 
     const title = meta.title || node.title || '';
     const revisionId = meta.revision_id ?? meta.revisionId ?? null;
-    const baseName = sanitizeFilename(title) || docId;
-    const fileRel = await ensureUniqueFilePathWithFs(rootDir, `${baseName}.md`, usedPaths);
+    const fileRel = await ensureUniqueFilePathWithFs(
+      rootDir,
+      resolveDocRelPath(node, title),
+      usedPaths
+    );
     const fileAbs = path.join(rootDir, fileRel);
 
     const hash = await downloadDocumentToFile(
       docId,
       token,
       { document_id: docId, revision_id: revisionId, title },
-      fileAbs
+      fileAbs,
+      rootDir
     );
 
     manifestDocs[docId] = {
       file: fileRel,
+      nodeToken: node.nodeToken,
       revisionId,
       title,
       fileType: resolveFileType({ fileType: node.objType }),
       hash,
     };
+    await recordBaseSnapshot(rootDir, docId, fileAbs, manifestDocs[docId]);
     usedPaths.add(fileRel);
     existingDocIds.add(docId);
+    changes.push({ type: 'download', docId, file: fileRel, fileType: node.objType });
     manifestDirty = true;
     added += 1;
 
@@ -846,8 +2933,50 @@ export async function syncNewDocsFromWiki({
     }
   }
 
+  const { actions, warnings } = await planRemoteExports({
+    rootDir,
+    token,
+    nodes: exportNodes,
+    excluded,
+    exports: manifest.exports,
+    options: tableExports,
+  });
+  for (const warning of warnings) {
+    console.warn(`[realtime-sync] ${warning}`);
+  }
+  for (const action of actions) {
+    try {
+      if (action.type === 'export') {
+        await applyRemoteExport({ rootDir, token, exports: manifest.exports, action });
+      } else {
+        await removeRemoteExport({ rootDir, exports: manifest.exports, docId: action.docId });
+      }
+    } catch (err) {
+      console.warn(`[realtime-sync] ${action.type} ${action.file} failed: ${err.message || err}`);
+      continue;
+    }
+    changes.push({
+      type: action.type,
+      docId: action.docId,
+      file: action.file,
+      fileType: action.fileType,
+    });
+    manifestDirty = true;
+    if (logEvents) {
+      console.log(`[realtime-sync] ${action.type} ${action.file}`);
+    }
+  }
+
   if (manifestDirty) {
-    await writeManifest(rootDir, { spaceId, docs: manifestDocs }, manifestName);
+    await writeManifest(
+      rootDir,
+      { spaceId, docs: manifestDocs, tombstones: manifest.tombstones, exports: manifest.exports },
+      manifestName
+    );
+  }
+
+  if (changes.length && typeof onBatchSynced === 'function') {
+    await onBatchSynced(changes);
   }
 
   if (logEvents) {
@@ -0,0 +1,164 @@
+import { spawn } from 'node:child_process';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { STATE_DIR } from './helpers.js';
+import { fetchLatestEditors } from './feishu.js';
+
+const CHANGE_GROUPS = [
+  { types: ['download'], label: 'Downloaded (Feishu -> local)' },
+  { types: ['merge'], label: 'Merged (both sides)' },
+  { types: ['conflict'], label: 'Conflicts (remote saved as *.remote.md)' },
+  { types: ['move-local'], label: 'Renamed or moved in Feishu (Feishu -> local)' },
+  { types: ['delete-local'], label: 'Deleted locally (trashed in Feishu)' },
+  { types: ['export'], label: 'Exported sheets, bitables and files (Feishu -> local)' },
+  { types: ['delete-export'], label: 'Removed exports of deleted sheets, bitables and files' },
+  { types: ['upload'], label: 'Uploaded (local -> Feishu)' },
+  { types: ['create'], label: 'Created in Feishu (local -> Feishu)' },
+  { types: ['rename', 'move'], label: 'Renamed or moved (local -> Feishu)' },
+  { types: ['delete-remote'], label: 'Deleted in Feishu (local -> Feishu)' },
+];
+const REMOTE_CHANGE_TYPES = new Set(['download', 'merge', 'conflict', 'export']);
+const FROM_FEISHU_TYPES = new Set([
+  'download',
+  'merge',
+  'conflict',
+  'move-local',
+  'delete-local',
+  'export',
+  'delete-export',
+]);
+
+function runGit(cwd, args, { env, input } = {}) {
+  return new Promise((resolve, reject) => {
+    const child = spawn('git', args, { cwd, env: { ...process.env, ...env } });
+    child.stdin.end(input ?? '');
+    let stdout = '';
+    let stderr = '';
+    child.stdout.on('data', (chunk) => {
+      stdout += chunk;
+    });
+    child.stderr.on('data', (chunk) => {
+      stderr += chunk;
+    });
+    child.on('error', reject);
+    child.on('close', (code) => {
+      if (code === 0) {
+        resolve(stdout);
+      } else {
+        reject(new Error(`git ${args[0]} failed: ${stderr.trim() || `exit code ${code}`}`));
+      }
+    });
+  });
+}
+
+function withoutUpdatedAt(raw) {
+  try {
+    const { updatedAt, ...rest } = JSON.parse(raw);
+    return JSON.stringify(rest);
+  } catch (err) {
+    return raw;
+  }
+}
+
+async function manifestNeedsCommit(rootDir, manifestName) {
+  let current;
+  try {
+    current = await fs.readFile(path.join(rootDir, manifestName), 'utf8');
+  } catch (err) {
+    if (err.code === 'ENOENT') return false;
+    throw err;
+  }
+  let committed;
+  try {
+    committed = await runGit(rootDir, ['show', `HEAD:./${manifestName}`]);
+  } catch (err) {
+    return true;
+  }
+  return withoutUpdatedAt(current) !== withoutUpdatedAt(committed);
+}
+
+export function formatSyncCommitMessage(changes, editors = new Map()) {
+  const fromFeishu = changes.filter((change) => FROM_FEISHU_TYPES.has(change.type)).length;
+  const toFeishu = changes.length - fromFeishu;
+  const counts = [];
+  if (fromFeishu) counts.push(`${fromFeishu} from Feishu`);
+  if (toFeishu) counts.push(`${toFeishu} to Feishu`);
+  const lines = [`Sync with Feishu: ${counts.join(', ')}`];
+  for (const group of CHANGE_GROUPS) {
+    const items = changes.filter((change) => group.types.includes(change.type));
+    if (!items.length) continue;
+    lines.push('', `${group.label}:`);
+    for (const change of items) {
+      const target = change.from ? `${change.from} -> ${change.file}` : change.file;
+      const editor = editors.get(change.docId);
+      lines.push(`- ${target}${editor ? ` (edited by ${editor.name})` : ''}`);
+    }
+  }
+  return lines.join('\n');
+}
+
+async function lookupEditors(token, changes, log) {
+  const docs = changes
+    .filter((change) => REMOTE_CHANGE_TYPES.has(change.type) && change.docId)
+    .map((change) => ({ documentId: change.docId, fileType: change.fileType }));
+  if (!docs.length) return new Map();
+  try {
+    return await fetchLatestEditors(token, docs);
+  } catch (err) {
+    log.warn(`Could not look up Feishu editors for the git commit: ${err.message || err}`);
+    return new Map();
+  }
+}
+
+export async function commitSyncChanges({
+  rootDir,
+  manifestName,
+  changes,
+  token,
+  git,
+  log = console,
+}) {
+  if (!git || !changes.length) return false;
+  const inside = await runGit(rootDir, ['rev-parse', '--is-inside-work-tree']).catch(() => '');
+  if (inside.trim() !== 'true') {
+    throw new Error(`sync.git is enabled but ${rootDir} is not inside a git work tree.`);
+  }
+
+  await runGit(rootDir, [
+    'add',
+    '--all',
+    '--',
+    '.',
+    `:(exclude)${STATE_DIR}`,
+    `:(exclude)${manifestName}`,
+  ]);
+  if (await manifestNeedsCommit(rootDir, manifestName)) {
+    await runGit(rootDir, ['add', '--', manifestName], { env: { GIT_LITERAL_PATHSPECS: '1' } });
+  }
+  const staged = (
+    await runGit(rootDir, ['diff', '--cached', '--name-only', '--no-renames', '-z', '--relative'])
+  )
+    .split('\0')
+    .filter(Boolean);
+  if (!staged.length) return false;
+
+  const editors = git.authorFromEditor ? await lookupEditors(token, changes, log) : new Map();
+  const args = [
+    'commit',
+    '--quiet',
+    '--message',
+    formatSyncCommitMessage(changes, editors),
+    '--pathspec-from-file=-',
+    '--pathspec-file-nul',
+  ];
+  const authors = new Set([...editors.values()].map((editor) => editor.name));
+  if (authors.size === 1 && changes.every((change) => FROM_FEISHU_TYPES.has(change.type))) {
+    args.push(`--author=${[...authors][0]} <>`);
+  }
+  await runGit(rootDir, args, {
+    env: { GIT_LITERAL_PATHSPECS: '1' },
+    input: staged.map((file) => `${file}\0`).join(''),
+  });
+  log.info(`Committed ${staged.length} changed file(s) to git.`);
+  return true;
+}
@@ -1,6 +1,7 @@
 import fs from 'node:fs/promises';
 import fsSync from 'node:fs';
 import path from 'node:path';
+import os from 'node:os';
 import crypto from 'node:crypto';
 
 export async function readToken(tokenPath) {
@@ -12,9 +13,54 @@ export async function readToken(tokenPath) {
   return token;
 }
 
-export async function hashFile(filePath) {
-  const data = await fs.readFile(filePath);
-  return crypto.createHash('sha256').update(data).digest('hex');
+export const STATE_DIR = '.feishu-sync';
+
+export const HASH_SCHEME = 'canonical-v1';
+
+export function hashText(text) {
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+export function canonicalizeMarkdown(text) {
+  const lines = String(text)
+    .replace(/^\uFEFF/, '')
+    .replace(/\r\n?/g, '\n')
+    .split('\n')
+    .map((line) => line.replace(/[ \t]+$/, ''));
+  while (lines.length && !lines[lines.length - 1]) {
+    lines.pop();
+  }
+  return lines.length ? `${lines.join('\n')}\n` : '';
+}
+
+export function hashMarkdown(text) {
+  return hashText(canonicalizeMarkdown(text));
+}
+
+export async function hashMarkdownFile(filePath) {
+  return hashMarkdown(await fs.readFile(filePath, 'utf8'));
+}
+
+async function migrateManifestHashes(folder, docs) {
+  for (const [docId, entry] of Object.entries(docs)) {
+    if (!entry?.hash) continue;
+    const base = await readBaseSnapshot(folder, docId);
+    if (base !== null && hashText(base) === entry.hash) {
+      entry.hash = hashMarkdown(base);
+      continue;
+    }
+    if (!entry.file) continue;
+    let local;
+    try {
+      local = await fs.readFile(path.join(folder, entry.file), 'utf8');
+    } catch (err) {
+      if (err.code === 'ENOENT') continue;
+      throw err;
+    }
+    if (hashText(local) === entry.hash) {
+      entry.hash = hashMarkdown(local);
+    }
+  }
 }
 
 export async function readManifest(folder, manifestName) {
@@ -22,18 +68,57 @@ export async function readManifest(folder, manifestName) {
     throw new Error('Missing manifestName for readManifest().');
   }
   const manifestPath = path.join(folder, manifestName);
+  let raw;
   try {
-    const raw = await fs.readFile(manifestPath, 'utf8');
-    const data = JSON.parse(raw);
-    if (!data || typeof data !== 'object') {
-      return { spaceId: '', docs: {} };
+    raw = await fs.readFile(manifestPath, 'utf8');
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      return { spaceId: '', docs: {}, tombstones: {}, exports: {} };
     }
-    return {
-      spaceId: data.spaceId || '',
-      docs: data.docs && typeof data.docs === 'object' ? data.docs : {},
-    };
+    throw err;
+  }
+
+  let data;
+  try {
+    data = JSON.parse(raw);
+  } catch (err) {
+    throw new Error(
+      `Manifest ${manifestPath} is not valid JSON (${err.message}). Fix it by hand, or delete it to rebuild it (this re-downloads every document).`
+    );
+  }
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error(`Manifest ${manifestPath} does not contain a JSON object.`);
+  }
+  const docs = data.docs && typeof data.docs === 'object' ? data.docs : {};
+  if (!data.hashScheme) {
+    await migrateManifestHashes(folder, docs);
+  } else if (data.hashScheme !== HASH_SCHEME) {
+    throw new Error(
+      `Manifest ${manifestPath} uses hashing scheme "${data.hashScheme}", which this version does not understand. Upgrade feishu-sync.`
+    );
+  }
+  return {
+    spaceId: data.spaceId || '',
+    docs,
+    tombstones: data.tombstones && typeof data.tombstones === 'object' ? data.tombstones : {},
+    exports: data.exports && typeof data.exports === 'object' ? data.exports : {},
+  };
+}
+
+export async function writeFileAtomic(filePath, content) {
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  const handle = await fs.open(tempPath, 'w');
+  try {
+    await handle.writeFile(content, 'utf8');
+    await handle.sync();
+  } finally {
+    await handle.close();
+  }
+  try {
+    await fs.rename(tempPath, filePath);
   } catch (err) {
-    return { spaceId: '', docs: {} };
+    await fs.rm(tempPath, { force: true });
+    throw err;
   }
 }
 
@@ -44,10 +129,181 @@ export async function writeManifest(folder, manifest, manifestName) {
   const manifestPath = path.join(folder, manifestName);
   const output = {
     spaceId: manifest.spaceId || '',
+    hashScheme: HASH_SCHEME,
     updatedAt: new Date().toISOString(),
     docs: manifest.docs || {},
+    tombstones: manifest.tombstones || {},
+    exports: manifest.exports || {},
   };
-  await fs.writeFile(manifestPath, `${JSON.stringify(output, null, 2)}\n`, 'utf8');
+  await writeFileAtomic(manifestPath, `${JSON.stringify(output, null, 2)}\n`);
+  await clearCompletedJournalEntries(folder);
+}
+
+function journalDir(rootDir) {
+  return path.join(rootDir, STATE_DIR, 'journal');
+}
+
+function journalEntryPath(rootDir, entry) {
+  return path.join(journalDir(rootDir), `${entry.id}.json`);
+}
+
+async function saveJournalEntry(rootDir, entry) {
+  await fs.mkdir(journalDir(rootDir), { recursive: true });
+  await writeFileAtomic(journalEntryPath(rootDir, entry), `${JSON.stringify(entry, null, 2)}\n`);
+}
+
+export async function beginJournalEntry(rootDir, operation) {
+  const entry = {
+    id: `${Date.now()}-${crypto.randomUUID().slice(0, 8)}`,
+    stage: 'pending',
+    pid: process.pid,
+    startedAt: new Date().toISOString(),
+    ...operation,
+  };
+  await saveJournalEntry(rootDir, entry);
+  return entry;
+}
+
+export async function markJournalEntry(rootDir, entry, changes) {
+  Object.assign(entry, changes);
+  await saveJournalEntry(rootDir, entry);
+}
+
+export async function readJournalEntries(rootDir) {
+  let names;
+  try {
+    names = await fs.readdir(journalDir(rootDir));
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+  const entries = [];
+  for (const name of names.filter((item) => item.endsWith('.json')).sort()) {
+    const filePath = path.join(journalDir(rootDir), name);
+    try {
+      entries.push(JSON.parse(await fs.readFile(filePath, 'utf8')));
+    } catch (err) {
+      throw new Error(`Journal entry ${filePath} is unreadable (${err.message}).`);
+    }
+  }
+  return entries;
+}
+
+export async function removeJournalEntry(rootDir, entry) {
+  await fs.rm(journalEntryPath(rootDir, entry), { force: true });
+}
+
+async function clearCompletedJournalEntries(rootDir) {
+  for (const entry of await readJournalEntries(rootDir)) {
+    if (entry.stage === 'done' && entry.pid === process.pid) {
+      await removeJournalEntry(rootDir, entry);
+    }
+  }
+}
+
+const SYNC_LOCK_NAME = 'sync.lock';
+const SYNC_LOCK_POLL_MS = 200;
+const heldLocks = new Set();
+let lockExitHandlerInstalled = false;
+
+function syncLockPath(rootDir) {
+  return path.join(rootDir, STATE_DIR, SYNC_LOCK_NAME);
+}
+
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (err) {
+    return err.code === 'EPERM';
+  }
+}
+
+async function readSyncLock(lockPath) {
+  try {
+    return JSON.parse(await fs.readFile(lockPath, 'utf8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    return {};
+  }
+}
+
+function isStaleLock(holder) {
+  if (!holder) return false;
+  if (!Number.isInteger(holder.pid)) return true;
+  if (holder.hostname && holder.hostname !== os.hostname()) return false;
+  return !isProcessAlive(holder.pid);
+}
+
+function installLockExitHandler() {
+  if (lockExitHandlerInstalled) return;
+  lockExitHandlerInstalled = true;
+  process.once('exit', () => {
+    for (const lockPath of heldLocks) {
+      fsSync.rmSync(lockPath, { force: true });
+    }
+  });
+}
+
+export async function acquireSyncLock(rootDir, { waitMs = 60000, purpose = '' } = {}) {
+  const lockPath = syncLockPath(rootDir);
+  await fs.mkdir(path.dirname(lockPath), { recursive: true });
+  const deadline = Date.now() + waitMs;
+  const record = {
+    pid: process.pid,
+    hostname: os.hostname(),
+    purpose: purpose || path.basename(process.argv[1] || 'node'),
+    startedAt: new Date().toISOString(),
+  };
+
+  const tempPath = `${lockPath}.${process.pid}-${crypto.randomUUID().slice(0, 8)}.tmp`;
+  await fs.writeFile(tempPath, `${JSON.stringify(record, null, 2)}\n`);
+  try {
+    for (;;) {
+      try {
+        await fs.link(tempPath, lockPath);
+        break;
+      } catch (err) {
+        if (err.code !== 'EEXIST') throw err;
+      }
+      const holder = await readSyncLock(lockPath);
+      if (isStaleLock(holder)) {
+        await fs.rm(lockPath, { force: true });
+        continue;
+      }
+      if (Date.now() >= deadline) {
+        const purpose = holder?.purpose ? ` (${holder.purpose})` : '';
+        const owner = holder?.pid
+          ? `pid ${holder.pid}${purpose} since ${holder.startedAt || 'unknown time'}`
+          : 'another process';
+        throw new Error(
+          `Sync folder ${rootDir} is locked by ${owner}. Wait for it to finish, or delete ${lockPath} if that process is gone.`
+        );
+      }
+      await new Promise((resolve) => setTimeout(resolve, SYNC_LOCK_POLL_MS));
+    }
+  } finally {
+    await fs.rm(tempPath, { force: true });
+  }
+
+  heldLocks.add(lockPath);
+  installLockExitHandler();
+  let released = false;
+  return async () => {
+    if (released) return;
+    released = true;
+    heldLocks.delete(lockPath);
+    await fs.rm(lockPath, { force: true });
+  };
+}
+
+export async function withSyncLock(rootDir, task, options) {
+  const release = await acquireSyncLock(rootDir, options);
+  try {
+    return await task();
+  } finally {
+    await release();
+  }
 }
 
 export function sanitizeFilename(name) {
@@ -79,6 +335,86 @@ export function resolveSyncFolder(folderInput) {
   return path.resolve(expandHomeDir(folderInput));
 }
 
+function isNestedPath(parent, child) {
+  const relative = path.relative(parent, child);
+  return relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative));
+}
+
+export function resolveSyncPairs(config) {
+  const { pairs, ...shared } = config.sync || {};
+  const entries =
+    pairs === undefined
+      ? [
+          {
+            wikiSpaceId: config.wikiSpaceId,
+            driveFolderToken: config.driveFolderToken,
+            folderPath: shared.folderPath,
+          },
+        ]
+      : pairs;
+  if (!Array.isArray(entries) || !entries.length) {
+    throw new Error('Expected sync.pairs to be a non-empty array in config.json.');
+  }
+
+  const resolved = entries.map((pair, index) => {
+    const label = pairs === undefined ? '' : `sync.pairs[${index}].`;
+    if (!pair || typeof pair !== 'object') {
+      throw new Error(`Expected ${label.slice(0, -1)} to be an object in config.json.`);
+    }
+    const driveFolderToken = pair.driveFolderToken || '';
+    const spaceId = driveFolderToken ? '' : pair.wikiSpaceId || config.wikiSpaceId;
+    if (!spaceId && !driveFolderToken) {
+      throw new Error(`Missing ${label}wikiSpaceId or ${label}driveFolderToken in config.json.`);
+    }
+    if (!pair.folderPath) {
+      throw new Error(`Missing ${label || 'sync.'}folderPath in config.json.`);
+    }
+    const sync = { ...shared, ...pair };
+    if (driveFolderToken && sync.rootNodeTokens?.length) {
+      throw new Error(
+        `${label || 'sync.'}rootNodeTokens only applies to wiki spaces, not drive folders.`
+      );
+    }
+    const rootDir = resolveSyncFolder(pair.folderPath);
+    return {
+      name: pair.name || path.basename(rootDir),
+      spaceId,
+      driveFolderToken,
+      rootDir,
+      config: { ...config, wikiSpaceId: spaceId, driveFolderToken, sync },
+    };
+  });
+
+  for (let i = 0; i < resolved.length; i += 1) {
+    for (let j = i + 1; j < resolved.length; j += 1) {
+      const a = resolved[i];
+      const b = resolved[j];
+      if (a.name === b.name) {
+        throw new Error(`Duplicate sync pair name "${a.name}" in config.json.`);
+      }
+      if (isNestedPath(a.rootDir, b.rootDir) || isNestedPath(b.rootDir, a.rootDir)) {
+        throw new Error(
+          `Sync folders must not overlap: "${a.name}" (${a.rootDir}) and "${b.name}" (${b.rootDir}).`
+        );
+      }
+    }
+  }
+  return resolved;
+}
+
+export function selectSyncPairs(pairs, names) {
+  if (!names || !names.length) return pairs;
+  return names.map((name) => {
+    const pair = pairs.find((item) => item.name === name);
+    if (!pair) {
+      throw new Error(
+        `Unknown sync pair "${name}". Configured pairs: ${pairs.map((item) => item.name).join(', ')}`
+      );
+    }
+    return pair;
+  });
+}
+
 export function pickAppCredentials(config) {
   const auth = config.auth || {};
   const appId =
@@ -186,7 +522,165 @@ export async function ensureUniqueFilePathWithFs(baseDir, fileName, usedPaths) {
   return ensurePosixPath(path.relative(baseDir, fullPath));
 }
 
-export function shouldSyncLocalPath(relPath, manifestName) {
+export async function relocateLocalFile(rootDir, oldRel, newRel) {
+  const oldAbs = path.join(rootDir, oldRel);
+  const newAbs = path.join(rootDir, newRel);
+  if (!(await fileExists(oldAbs))) return false;
+  await fs.mkdir(path.dirname(newAbs), { recursive: true });
+  await fs.rename(oldAbs, newAbs);
+  await pruneEmptyDirs(rootDir, path.dirname(oldAbs));
+  return true;
+}
+
+export async function pruneEmptyDirs(rootDir, dir) {
+  let current = path.resolve(dir);
+  const root = path.resolve(rootDir);
+  while (current !== root && current.startsWith(`${root}${path.sep}`)) {
+    try {
+      await fs.rmdir(current);
+    } catch (err) {
+      if (err && (err.code === 'ENOTEMPTY' || err.code === 'EEXIST' || err.code === 'ENOENT')) {
+        return;
+      }
+      throw err;
+    }
+    current = path.dirname(current);
+  }
+}
+
+export function matchMovedFiles(missing, untracked, renamedPaths) {
+  const moves = [];
+  const remainingMissing = [];
+  const claimed = new Set();
+  for (const item of missing) {
+    const match = untracked.find(
+      (file) => !claimed.has(file.relPath) && item.hash && file.hash === item.hash
+    );
+    if (match) {
+      claimed.add(match.relPath);
+      moves.push({ docId: item.docId, oldRel: item.relPath, newRel: match.relPath });
+    } else {
+      remainingMissing.push(item);
+    }
+  }
+
+  if (renamedPaths) {
+    const renamedMissing = remainingMissing.filter((item) => renamedPaths.has(item.relPath));
+    const renamedUntracked = untracked.filter(
+      (file) => !claimed.has(file.relPath) && renamedPaths.has(file.relPath)
+    );
+    if (renamedMissing.length === 1 && renamedUntracked.length === 1) {
+      moves.push({
+        docId: renamedMissing[0].docId,
+        oldRel: renamedMissing[0].relPath,
+        newRel: renamedUntracked[0].relPath,
+      });
+    }
+  }
+
+  return moves;
+}
+
+export const IGNORE_FILE_NAME = '.feishusyncignore';
+
+function globToRegExp(glob) {
+  let source = '';
+  for (let i = 0; i < glob.length; i += 1) {
+    const ch = glob[i];
+    if (ch === '*' && glob[i + 1] === '*') {
+      i += 1;
+      if (glob[i + 1] === '/') {
+        i += 1;
+        source += '(?:.*/)?';
+      } else {
+        source += '.*';
+      }
+    } else if (ch === '*') {
+      source += '[^/]*';
+    } else if (ch === '?') {
+      source += '[^/]';
+    } else {
+      source += ch.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+function compilePattern(raw) {
+  let pattern = String(raw).trim().replace(/\\/g, '/');
+  const dirOnly = pattern.endsWith('/');
+  if (dirOnly) pattern = pattern.replace(/\/+$/, '');
+  const anchored = pattern.includes('/');
+  pattern = pattern.replace(/^\/+/, '');
+  return { regex: globToRegExp(pattern), anchored, dirOnly };
+}
+
+function matchesPattern(compiled, relPath) {
+  const segments = relPath.split('/');
+  for (let i = segments.length; i >= 1; i -= 1) {
+    if (compiled.dirOnly && i === segments.length) continue;
+    const candidate = compiled.anchored ? segments.slice(0, i).join('/') : segments[i - 1];
+    if (compiled.regex.test(candidate)) return true;
+  }
+  return false;
+}
+
+function readPatternList(config, keyPath) {
+  const value = keyPath.split('.').reduce((acc, key) => acc?.[key], config);
+  if (value === undefined || value === null) return [];
+  if (!Array.isArray(value) || value.some((item) => typeof item !== 'string')) {
+    throw new Error(`Expected ${keyPath} to be an array of strings in config.json.`);
+  }
+  return value.map((item) => item.trim()).filter(Boolean);
+}
+
+export function parseIgnoreFile(text) {
+  return String(text || '')
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter((line) => line && !line.startsWith('#'));
+}
+
+export function createSyncFilter({ rootNodeTokens = [], include = [], exclude = [] } = {}) {
+  const includes = include.map(compilePattern);
+  const excludes = exclude.map(compilePattern);
+  const allows = (relPath) => {
+    if (!relPath) return false;
+    const normalized = relPath.replace(/\\/g, '/');
+    if (excludes.some((pattern) => matchesPattern(pattern, normalized))) return false;
+    if (includes.length && !includes.some((pattern) => matchesPattern(pattern, normalized))) {
+      return false;
+    }
+    return true;
+  };
+  const allowsNewFile = (relPath, trackedFiles) => {
+    if (!allows(relPath)) return false;
+    if (!rootNodeTokens.length) return true;
+    const [top, ...rest] = relPath.split('/');
+    if (!rest.length) return false;
+    return trackedFiles.has(`${top}/index.md`) || trackedFiles.has(`${top}.md`);
+  };
+  return {
+    rootNodeTokens,
+    allows,
+    allowsNewFile,
+  };
+}
+
+export async function loadSyncFilter(rootDir, config) {
+  const rootNodeTokens = readPatternList(config, 'sync.rootNodeTokens');
+  const include = readPatternList(config, 'sync.include');
+  const exclude = readPatternList(config, 'sync.exclude');
+  try {
+    const raw = await fs.readFile(path.join(rootDir, IGNORE_FILE_NAME), 'utf8');
+    exclude.push(...parseIgnoreFile(raw));
+  } catch (err) {
+    if (!err || err.code !== 'ENOENT') throw err;
+  }
+  return createSyncFilter({ rootNodeTokens, include, exclude });
+}
+
+export function shouldSyncLocalPath(relPath, manifestName, syncFilter) {
   if (!manifestName) {
     throw new Error('Missing manifestName for shouldSyncLocalPath().');
   }
@@ -195,10 +689,11 @@ export function shouldSyncLocalPath(relPath, manifestName) {
   const baseName = path.basename(normalized);
   if (!baseName) return false;
   if (baseName === manifestName) return false;
-  if (baseName.startsWith('.')) return false;
+  if (normalized.split('/').some((segment) => segment.startsWith('.'))) return false;
   const lower = baseName.toLowerCase();
   if (!lower.endsWith('.md')) return false;
-  if (lower.endsWith('.remote.md')) return false;
+  if (lower.endsWith('.remote.md') || lower.endsWith('.table.md')) return false;
+  if (syncFilter && !syncFilter.allows(normalized)) return false;
   return true;
 }
 
@@ -211,6 +706,7 @@ export function startLocalWatcher(rootDir, options) {
     isProcessing,
     shouldIgnoreLocal,
     manifestName,
+    syncFilter,
   } = options;
   if (!manifestName) {
     throw new Error('Missing manifestName for startLocalWatcher().');
@@ -218,7 +714,7 @@ export function startLocalWatcher(rootDir, options) {
 
   let watcher;
   try {
-    watcher = fsSync.watch(rootDir, { recursive: true }, async (_eventType, filename) => {
+    watcher = fsSync.watch(rootDir, { recursive: true }, async (eventType, filename) => {
       if (shouldIgnoreLocal && shouldIgnoreLocal()) {
         if (logEvents) {
           console.log('[realtime-sync] ignored local change during poll');
@@ -226,7 +722,9 @@ export function startLocalWatcher(rootDir, options) {
         return;
       }
       const relPath = filename ? String(filename) : '';
-      if (relPath && !shouldSyncLocalPath(relPath, manifestName)) return;
+      if (relPath && !shouldSyncLocalPath(ensurePosixPath(relPath), manifestName, syncFilter)) {
+        return;
+      }
       if (isProcessing()) return;
 
       const lastProcessCompletedAt = getLastProcessCompletedAt();
@@ -234,7 +732,8 @@ export function startLocalWatcher(rootDir, options) {
         try {
           const fullPath = path.join(rootDir, relPath);
           const stat = await fs.stat(fullPath);
-          if (stat.mtimeMs <= lastProcessCompletedAt + localIgnoreWindowMs) {
+          const changedAt = Math.max(stat.mtimeMs, stat.ctimeMs);
+          if (changedAt <= lastProcessCompletedAt + localIgnoreWindowMs) {
             if (logEvents) {
               console.log(`[realtime-sync] ignored local change from sync: ${relPath}`);
             }
@@ -254,7 +753,7 @@ export function startLocalWatcher(rootDir, options) {
         }
       }
 
-      onChange(relPath || 'local');
+      onChange(relPath || 'local', eventType);
     });
   } catch (err) {
     console.error(`[realtime-sync] failed to start local watcher: ${err.message || err}`);
@@ -276,6 +775,408 @@ export function buildConflictPath(relPath) {
   return `${relPath}.remote.md`;
 }
 
+export function resolveConflictSource(conflictRel) {
+  return conflictRel.replace(/\.remote\.md$/i, '.md');
+}
+
+async function walkSyncFolder(rootDir, manifestName, acceptName) {
+  const files = [];
+  const skipDirs = new Set(['.git', 'node_modules']);
+
+  const walk = async (dir) => {
+    const entries = await fs.readdir(dir, { withFileTypes: true });
+    for (const entry of entries) {
+      if (entry.name === manifestName) continue;
+      if (entry.isDirectory()) {
+        if (skipDirs.has(entry.name) || entry.name.startsWith('.')) continue;
+        await walk(path.join(dir, entry.name));
+        continue;
+      }
+      if (!entry.isFile()) continue;
+      if (!acceptName(entry.name.toLowerCase())) continue;
+      const fullPath = path.join(dir, entry.name);
+      const relPath = ensurePosixPath(path.relative(rootDir, fullPath));
+      files.push({ fullPath, relPath });
+    }
+  };
+
+  await walk(rootDir);
+  return files;
+}
+
+export async function listMarkdownFiles(rootDir, manifestName, syncFilter) {
+  const files = await walkSyncFolder(
+    rootDir,
+    manifestName,
+    (name) => name.endsWith('.md') && !name.endsWith('.remote.md') && !name.endsWith('.table.md')
+  );
+  return syncFilter ? files.filter((file) => syncFilter.allows(file.relPath)) : files;
+}
+
+export function listConflictFiles(rootDir, manifestName) {
+  return walkSyncFolder(rootDir, manifestName, (name) => name.endsWith('.remote.md'));
+}
+
+function baseSnapshotPath(rootDir, documentId) {
+  return path.join(rootDir, STATE_DIR, 'base', `${documentId}.md`);
+}
+
+export async function readBaseSnapshot(rootDir, documentId) {
+  try {
+    return await fs.readFile(baseSnapshotPath(rootDir, documentId), 'utf8');
+  } catch (err) {
+    if (err && err.code === 'ENOENT') return null;
+    throw err;
+  }
+}
+
+export async function writeBaseSnapshot(rootDir, documentId, markdown, version = {}) {
+  if (!(await readHistory(rootDir, documentId)).length) {
+    const previous = await readBaseSnapshot(rootDir, documentId);
+    if (previous !== null && previous !== markdown) {
+      await recordHistoryVersion(rootDir, documentId, previous, { file: version.file });
+    }
+  }
+  await recordHistoryVersion(rootDir, documentId, markdown, version);
+  const snapshotPath = baseSnapshotPath(rootDir, documentId);
+  await fs.mkdir(path.dirname(snapshotPath), { recursive: true });
+  await fs.writeFile(snapshotPath, markdown, 'utf8');
+}
+
+export async function recordBaseSnapshot(rootDir, documentId, filePath, version = {}) {
+  const markdown = await fs.readFile(filePath, 'utf8');
+  await writeBaseSnapshot(rootDir, documentId, markdown, version);
+}
+
+export async function deleteBaseSnapshot(rootDir, documentId) {
+  await deleteLocalFile(baseSnapshotPath(rootDir, documentId));
+}
+
+function historyDir(rootDir) {
+  return path.join(rootDir, STATE_DIR, 'history');
+}
+
+function historyIndexPath(rootDir, documentId) {
+  return path.join(historyDir(rootDir), `${documentId}.json`);
+}
+
+function historyObjectPath(rootDir, hash) {
+  return path.join(historyDir(rootDir), 'objects', hash.slice(0, 2), hash);
+}
+
+export async function readHistory(rootDir, documentId) {
+  const indexPath = historyIndexPath(rootDir, documentId);
+  let raw;
+  try {
+    raw = await fs.readFile(indexPath, 'utf8');
+  } catch (err) {
+    if (err && err.code === 'ENOENT') return [];
+    throw err;
+  }
+  try {
+    const versions = JSON.parse(raw).versions;
+    return Array.isArray(versions) ? versions : [];
+  } catch (err) {
+    throw new Error(`History index ${indexPath} is not valid JSON (${err.message}).`);
+  }
+}
+
+export async function readHistoryObject(rootDir, hash) {
+  try {
+    return await fs.readFile(historyObjectPath(rootDir, hash), 'utf8');
+  } catch (err) {
+    if (err && err.code === 'ENOENT') return null;
+    throw err;
+  }
+}
+
+export async function recordHistoryVersion(
+  rootDir,
+  documentId,
+  markdown,
+  { revisionId = null, file = '' } = {}
+) {
+  const hash = hashText(markdown);
+  const objectPath = historyObjectPath(rootDir, hash);
+  if (!(await fileExists(objectPath))) {
+    await fs.mkdir(path.dirname(objectPath), { recursive: true });
+    await writeFileAtomic(objectPath, markdown);
+  }
+
+  const versions = await readHistory(rootDir, documentId);
+  const latest = versions[versions.length - 1];
+  if (latest && latest.hash === hash && (latest.revisionId ?? null) === (revisionId ?? null)) {
+    return latest;
+  }
+  const version = { hash, revisionId: revisionId ?? null, file, savedAt: new Date().toISOString() };
+  versions.push(version);
+  await writeFileAtomic(
+    historyIndexPath(rootDir, documentId),
+    `${JSON.stringify({ documentId, versions }, null, 2)}\n`
+  );
+  return version;
+}
+
+export function findHistoryVersion(versions, selector) {
+  const value = String(selector || '').trim().toLowerCase();
+  if (/^\d+$/.test(value)) {
+    const index = Number(value) - 1;
+    return index >= 0 && index < versions.length ? { number: index + 1, ...versions[index] } : null;
+  }
+  if (/^[0-9a-f]{7,64}$/.test(value)) {
+    const matches = versions
+      .map((version, index) => ({ number: index + 1, ...version }))
+      .filter((version) => version.hash.startsWith(value));
+    if (matches.length > 1 && new Set(matches.map((version) => version.hash)).size > 1) {
+      throw new Error(
+        `Version ${selector} is ambiguous; use more characters or the version number.`
+      );
+    }
+    return matches[matches.length - 1] || null;
+  }
+  return null;
+}
+
+export function isHistoryVersionSelector(value) {
+  return /^(\d+|[0-9a-f]{7,64})$/i.test(String(value || '').trim());
+}
+
+export async function findSyncedDocument(pairs, target, manifestName) {
+  for (const pair of pairs) {
+    const manifest = await readManifest(pair.rootDir, manifestName);
+    const relPath = ensurePosixPath(
+      path.isAbsolute(target) ? path.relative(pair.rootDir, target) : path.normalize(target)
+    );
+    for (const [docId, entry] of Object.entries(manifest.docs || {})) {
+      if (docId === target || entry?.file === relPath) {
+        return { pair, manifest, docId, entry, deleted: false };
+      }
+    }
+    for (const [docId, entry] of Object.entries(manifest.tombstones || {})) {
+      if (docId === target || entry?.file === relPath) {
+        return { pair, manifest, docId, entry, deleted: true };
+      }
+    }
+  }
+  return null;
+}
+
+export const ASSETS_DIR = 'assets';
+
+function assetIndexPath(rootDir) {
+  return path.join(rootDir, STATE_DIR, 'assets.json');
+}
+
+export async function readAssetIndex(rootDir) {
+  const indexPath = assetIndexPath(rootDir);
+  let raw;
+  try {
+    raw = await fs.readFile(indexPath, 'utf8');
+  } catch (err) {
+    if (err && err.code === 'ENOENT') return {};
+    throw err;
+  }
+  try {
+    const assets = JSON.parse(raw).assets;
+    return assets && typeof assets === 'object' ? assets : {};
+  } catch (err) {
+    throw new Error(`Asset index ${indexPath} is not valid JSON (${err.message}).`);
+  }
+}
+
+export async function recordAsset(rootDir, fileToken, asset) {
+  const assets = await readAssetIndex(rootDir);
+  assets[fileToken] = asset;
+  const indexPath = assetIndexPath(rootDir);
+  await fs.mkdir(path.dirname(indexPath), { recursive: true });
+  await writeFileAtomic(indexPath, `${JSON.stringify({ assets }, null, 2)}\n`);
+}
+
+export function assetFileName(name, fallback) {
+  const value = String(name || '');
+  const rawExtension = path.posix.extname(value);
+  const extension = rawExtension.replace(/[^\w.-]/g, '');
+  const base = sanitizeFilename(value.slice(0, value.length - rawExtension.length)) || fallback;
+  return /^\.md$/i.test(extension) ? `${base}${extension}.txt` : `${base}${extension}`;
+}
+
+export async function ensureUniqueAssetPath(rootDir, fileRel, usedPaths) {
+  const extension = path.posix.extname(fileRel);
+  const base = fileRel.slice(0, fileRel.length - extension.length);
+  let candidate = fileRel;
+  for (
+    let counter = 1;
+    usedPaths.has(candidate.toLowerCase()) || (await fileExists(path.join(rootDir, candidate)));
+    counter += 1
+  ) {
+    candidate = `${base}-${counter}${extension}`;
+  }
+  usedPaths.add(candidate.toLowerCase());
+  return candidate;
+}
+
+function trashSnapshotPath(rootDir, documentId) {
+  return path.join(rootDir, STATE_DIR, 'trash', `${documentId}.md`);
+}
+
+export async function readTrashSnapshot(rootDir, documentId) {
+  try {
+    return await fs.readFile(trashSnapshotPath(rootDir, documentId), 'utf8');
+  } catch (err) {
+    if (err && err.code === 'ENOENT') return null;
+    throw err;
+  }
+}
+
+export async function deleteTrashSnapshot(rootDir, documentId) {
+  await deleteLocalFile(trashSnapshotPath(rootDir, documentId));
+}
+
+export async function recordTombstone(rootDir, tombstones, documentId, entry, { deleted, markdown }) {
+  if (markdown !== null && markdown !== undefined) {
+    const snapshotPath = trashSnapshotPath(rootDir, documentId);
+    await fs.mkdir(path.dirname(snapshotPath), { recursive: true });
+    await fs.writeFile(snapshotPath, markdown, 'utf8');
+  }
+  tombstones[documentId] = {
+    file: entry?.file || '',
+    title: entry?.title || '',
+    nodeToken: entry?.nodeToken || '',
+    fileType: entry?.fileType || 'docx',
+    deleted,
+    deletedAt: new Date().toISOString(),
+  };
+}
+
+const DELETE_LIMIT_DEFAULTS = {
+  maxDeletes: 10,
+  maxDeletePercent: 50,
+};
+
+function readDeleteLimit(config, key) {
+  const raw = config?.sync?.[key];
+  if (raw === undefined || raw === null || raw === '') return DELETE_LIMIT_DEFAULTS[key];
+  if (raw === false) return Infinity;
+  const value = Number(raw);
+  if (!Number.isFinite(value) || value < 0) {
+    throw new Error(`Expected sync.${key} to be a non-negative number or false in config.json.`);
+  }
+  return value;
+}
+
+export function resolveDeleteLimits(config) {
+  return {
+    maxDeletes: readDeleteLimit(config, 'maxDeletes'),
+    maxDeletePercent: readDeleteLimit(config, 'maxDeletePercent'),
+  };
+}
+
+export function checkDeleteLimit(count, total, limits) {
+  if (!count || !limits) return '';
+  const percent = total ? Math.round((count / total) * 100) : 100;
+  if (count > limits.maxDeletes) {
+    return `${count} of ${total} tracked documents exceeds sync.maxDeletes (${limits.maxDeletes})`;
+  }
+  if (count > 1 && percent > limits.maxDeletePercent) {
+    return `${count} of ${total} tracked documents (${percent}%) exceeds sync.maxDeletePercent (${limits.maxDeletePercent}%)`;
+  }
+  return '';
+}
+
+export function resolveApiLimits(config) {
+  const api = config?.api || {};
+  const limits = { rateLimits: {} };
+  if (api.concurrency !== undefined) {
+    const concurrency = Number(api.concurrency);
+    if (!Number.isInteger(concurrency) || concurrency < 1) {
+      throw new Error('Expected api.concurrency to be a positive integer in config.json.');
+    }
+    limits.concurrency = concurrency;
+  }
+  for (const [key, raw] of Object.entries(api.rateLimits || {})) {
+    if (raw === false) {
+      limits.rateLimits[key] = Infinity;
+      continue;
+    }
+    const value = Number(raw);
+    if (!Number.isFinite(value) || value <= 0) {
+      throw new Error(
+        `Expected api.rateLimits.${key} to be a positive number or false in config.json.`
+      );
+    }
+    limits.rateLimits[key] = value;
+  }
+  limits.retry = resolveApiRetry(api.retry || {});
+  return limits;
+}
+
+function resolveApiRetry(raw) {
+  const retry = {};
+  for (const key of ['maxRetries', 'baseDelayMs', 'maxDelayMs']) {
+    if (raw[key] === undefined) continue;
+    const value = Number(raw[key]);
+    if (!Number.isInteger(value) || value < 0) {
+      throw new Error(`Expected api.retry.${key} to be a non-negative integer in config.json.`);
+    }
+    retry[key] = value;
+  }
+  if (raw.retryableCodes !== undefined) {
+    const codes = raw.retryableCodes;
+    if (!Array.isArray(codes) || codes.some((code) => !Number.isInteger(code))) {
+      throw new Error('Expected api.retry.retryableCodes to be a list of error codes in config.json.');
+    }
+    retry.retryableCodes = raw.retryableCodes;
+  }
+  return retry;
+}
+
+const SYNC_MODES = ['both', 'pull', 'push'];
+
+export function resolveSyncMode(config) {
+  const mode = config?.sync?.mode ?? 'both';
+  if (!SYNC_MODES.includes(mode)) {
+    throw new Error(`Expected sync.mode to be one of ${SYNC_MODES.join(', ')} in config.json.`);
+  }
+  return mode;
+}
+
+export function resolveGitOptions(config) {
+  const raw = config?.sync?.git;
+  if (raw === undefined || raw === null || raw === false) return null;
+  if (raw === true) return { authorFromEditor: false };
+  if (typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new Error('Expected sync.git to be true, false or an object in config.json.');
+  }
+  if (raw.enabled === false) return null;
+  return { authorFromEditor: Boolean(raw.authorFromEditor) };
+}
+
+export function resolveTableExportOptions(config) {
+  const raw = config?.sync?.tables;
+  if (raw === false) return null;
+  if (raw === undefined || raw === null || raw === true) return { bitableFormat: 'csv' };
+  if (typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new Error('Expected sync.tables to be true, false or an object in config.json.');
+  }
+  if (raw.enabled === false) return null;
+  const bitableFormat = raw.bitableFormat ?? 'csv';
+  if (bitableFormat !== 'csv' && bitableFormat !== 'markdown') {
+    throw new Error('Expected sync.tables.bitableFormat to be "csv" or "markdown" in config.json.');
+  }
+  return { bitableFormat };
+}
+
+export function resolveVerifyOptions(config) {
+  const raw = config?.sync?.verifyUploads;
+  if (raw === undefined || raw === null || raw === false) return null;
+  if (raw === true) return { rewriteLocal: false };
+  if (typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new Error('Expected sync.verifyUploads to be true, false or an object in config.json.');
+  }
+  if (raw.enabled === false) return null;
+  return { rewriteLocal: Boolean(raw.rewriteLocal) };
+}
+
 export function resolveFileType(doc, existing) {
   return doc?.fileType || existing?.fileType || 'docx';
 }
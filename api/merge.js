@@ -0,0 +1,72 @@
+import { computeHunks } from './diff.js';
+
+const LOCAL_MARKER = '<<<<<<< local';
+const SEPARATOR_MARKER = '=======';
+const REMOTE_MARKER = '>>>>>>> remote';
+
+function splitLines(text) {
+  return String(text || '').replace(/\r\n/g, '\n').replace(/\r/g, '\n').split('\n');
+}
+
+function sideContent(lines, hunks, start, end, baseLines) {
+  if (!hunks.length) return baseLines.slice(start, end);
+  const first = hunks[0];
+  const last = hunks[hunks.length - 1];
+  return lines.slice(first.bStart - (first.aStart - start), last.bEnd + (end - last.aEnd));
+}
+
+function sameLines(a, b) {
+  return a.length === b.length && a.every((line, idx) => line === b[idx]);
+}
+
+export function mergeText(base, local, remote) {
+  const baseLines = splitLines(base);
+  const localLines = splitLines(local);
+  const remoteLines = splitLines(remote);
+
+  const changes = [
+    ...computeHunks(baseLines, localLines).map((hunk) => ({ ...hunk, side: 'local' })),
+    ...computeHunks(baseLines, remoteLines).map((hunk) => ({ ...hunk, side: 'remote' })),
+  ].sort((a, b) => a.aStart - b.aStart || a.aEnd - b.aEnd);
+
+  const clusters = [];
+  for (const change of changes) {
+    const current = clusters[clusters.length - 1];
+    if (current && change.aStart <= current.aEnd) {
+      current.aEnd = Math.max(current.aEnd, change.aEnd);
+      current.changes.push(change);
+    } else {
+      clusters.push({ aStart: change.aStart, aEnd: change.aEnd, changes: [change] });
+    }
+  }
+
+  const output = [];
+  let conflicts = 0;
+  let cursor = 0;
+  for (const cluster of clusters) {
+    output.push(...baseLines.slice(cursor, cluster.aStart));
+    cursor = cluster.aEnd;
+
+    const localHunks = cluster.changes.filter((change) => change.side === 'local');
+    const remoteHunks = cluster.changes.filter((change) => change.side === 'remote');
+    const localPart = sideContent(localLines, localHunks, cluster.aStart, cluster.aEnd, baseLines);
+    const remotePart = sideContent(remoteLines, remoteHunks, cluster.aStart, cluster.aEnd, baseLines);
+
+    if (!remoteHunks.length || sameLines(localPart, remotePart)) {
+      output.push(...localPart);
+    } else if (!localHunks.length) {
+      output.push(...remotePart);
+    } else {
+      conflicts += 1;
+      output.push(LOCAL_MARKER, ...localPart, SEPARATOR_MARKER, ...remotePart, REMOTE_MARKER);
+    }
+  }
+  output.push(...baseLines.slice(cursor));
+
+  return { merged: output.join('\n'), conflicts };
+}
+
+export function hasConflictMarkers(text) {
+  const lines = splitLines(text);
+  return lines.includes(LOCAL_MARKER) && lines.includes(REMOTE_MARKER);
+}
@@ -0,0 +1,851 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import {
+  hashMarkdownFile,
+  readManifest,
+  writeManifest,
+  fileExists,
+  deleteLocalFile,
+  ensureUniqueFilePath,
+  buildConflictPath,
+  listMarkdownFiles,
+  listConflictFiles,
+  resolveFileType,
+  readBaseSnapshot,
+  writeBaseSnapshot,
+  recordHistoryVersion,
+  recordBaseSnapshot,
+  deleteBaseSnapshot,
+  recordTombstone,
+  checkDeleteLimit,
+  relocateLocalFile,
+  pruneEmptyDirs,
+  matchMovedFiles,
+  ensurePosixPath,
+} from './helpers.js';
+import {
+  deleteRemoteDocumentJournaled,
+  collectSyncedWikiDocNodes,
+  collectSyncedDriveDocNodes,
+  fetchWikiNodeByObjToken,
+  isRemoteNotFoundError,
+  fetchDocumentMeta,
+  fetchDocumentMarkdown,
+  downloadDocumentToFile,
+  uploadMarkdownJournaled,
+  createDocumentJournaled,
+  verifyUploadedDocument,
+  planRemoteExports,
+  applyRemoteExport,
+  removeRemoteExport,
+  mergeDocumentChanges,
+  resolveDocRelPath,
+  resolveNewDocParent,
+  compareLocalCreationOrder,
+  applyLocalMove,
+  renameLocalFileForTitle,
+} from './feishu.js';
+import { mergeText } from './merge.js';
+
+export const PLAN_ACTION_TYPES = [
+  'download',
+  'upload',
+  'create',
+  'rename',
+  'move',
+  'merge',
+  'conflict',
+  'delete-local',
+  'delete-remote',
+  'export',
+  'delete-export',
+  'skip',
+];
+
+function buildMetadata(doc) {
+  return {
+    document_id: doc.documentId,
+    revision_id: doc.revisionId,
+    title: doc.title,
+  };
+}
+
+function collectUsedPaths(localMap, manifestDocs) {
+  const usedPaths = new Set(localMap.keys());
+  for (const entry of Object.values(manifestDocs)) {
+    if (entry && entry.file) {
+      usedPaths.add(entry.file);
+    }
+  }
+  return usedPaths;
+}
+
+function collectTrackedFiles(manifestDocs) {
+  return new Set(Object.values(manifestDocs).map((entry) => entry?.file).filter(Boolean));
+}
+
+async function previewMerge(rootDir, token, doc, fileAbs) {
+  const base = await readBaseSnapshot(rootDir, doc.documentId);
+  if (base === null) return 'conflict';
+  const remote = await fetchDocumentMarkdown(doc.documentId, token, buildMetadata(doc), {
+    rootDir,
+    file: ensurePosixPath(path.relative(rootDir, fileAbs)),
+    download: false,
+  });
+  const local = await fs.readFile(fileAbs, 'utf8');
+  const { conflicts } = mergeText(base, local, remote);
+  return conflicts ? 'conflict' : 'merge';
+}
+
+function planParentFolders(fileRel, tracked, actions) {
+  const dir = path.posix.dirname(fileRel);
+  const parentDir =
+    path.posix.basename(fileRel).toLowerCase() === 'index.md' ? path.posix.dirname(dir) : dir;
+  if (!parentDir || parentDir === '.') return;
+  const indexRel = `${parentDir}/index.md`;
+  if (tracked.has(indexRel) || tracked.has(`${parentDir}.md`)) return;
+  planParentFolders(indexRel, tracked, actions);
+  tracked.add(indexRel);
+  actions.push({ type: 'create', file: indexRel, folder: true });
+}
+
+async function isOutsideSyncRoots(token, docId, entry, syncFilter) {
+  if (!syncFilter?.rootNodeTokens?.length) return false;
+  try {
+    await fetchWikiNodeByObjToken(token, docId, resolveFileType(null, entry));
+    return true;
+  } catch (err) {
+    if (isRemoteNotFoundError(err)) return false;
+    throw err;
+  }
+}
+
+async function collectLocalFiles(rootDir, manifestName, syncFilter) {
+  const localMap = new Map();
+  if (await fileExists(rootDir)) {
+    for (const file of await listMarkdownFiles(rootDir, manifestName, syncFilter)) {
+      const hash = await hashMarkdownFile(file.fullPath);
+      localMap.set(file.relPath, { ...file, hash });
+    }
+  }
+  return localMap;
+}
+
+async function fetchRemoteDocs({ spaceId, driveFolderToken, token, syncFilter }) {
+  const { nodes, exportNodes, excluded } = driveFolderToken
+    ? await collectSyncedDriveDocNodes(driveFolderToken, token, syncFilter)
+    : await collectSyncedWikiDocNodes(spaceId, token, syncFilter);
+
+  const remoteDocs = await Promise.all(
+    nodes.map(async (node) => {
+      const meta = await fetchDocumentMeta(node.documentId, token);
+      const title = meta.title || node.title || '';
+      return {
+        documentId: node.documentId,
+        nodeToken: node.nodeToken,
+        title,
+        revisionId: meta.revision_id ?? meta.revisionId ?? null,
+        fileType: node.objType || 'docx',
+        desiredRel: resolveDocRelPath(node, title),
+      };
+    })
+  );
+  return { remoteDocs, exportNodes, excluded };
+}
+
+export async function planSync({
+  rootDir,
+  spaceId,
+  driveFolderToken,
+  token,
+  manifestName,
+  syncFilter,
+  mode = 'both',
+  tableExports,
+}) {
+  const manifest = await readManifest(rootDir, manifestName);
+  const manifestDocs = manifest.docs || {};
+  const isIgnored = (entry) => Boolean(entry?.file && syncFilter && !syncFilter.allows(entry.file));
+
+  const localMap = await collectLocalFiles(rootDir, manifestName, syncFilter);
+
+  const actions = [];
+  const warnings = [];
+  const tracked = collectTrackedFiles(manifestDocs);
+  const missingFiles = Object.entries(manifestDocs)
+    .filter(([, entry]) => entry?.file && !isIgnored(entry) && !localMap.has(entry.file))
+    .map(([docId, entry]) => ({ docId, relPath: entry.file, hash: entry.hash }));
+  const untrackedFiles = Array.from(localMap.values()).filter(
+    (file) => !tracked.has(file.relPath)
+  );
+  const moves = mode === 'pull' ? [] : matchMovedFiles(missingFiles, untrackedFiles);
+  moves.sort((a, b) => compareLocalCreationOrder(a.newRel, b.newRel));
+  const movedDocs = new Map();
+  for (const move of moves) {
+    actions.push({ type: 'move', docId: move.docId, from: move.oldRel, to: move.newRel });
+    movedDocs.set(move.docId, move.newRel);
+    tracked.delete(move.oldRel);
+    tracked.add(move.newRel);
+  }
+
+  const { remoteDocs, exportNodes, excluded } = await fetchRemoteDocs({
+    spaceId,
+    driveFolderToken,
+    token,
+    syncFilter,
+  });
+  const remoteIds = new Set(remoteDocs.map((doc) => doc.documentId));
+
+  const localFiles = new Map(localMap);
+  const usedPaths = collectUsedPaths(localMap, manifestDocs);
+  for (const doc of remoteDocs) {
+    const existing = manifestDocs[doc.documentId];
+    if (isIgnored(existing)) continue;
+    const movedTo = movedDocs.get(doc.documentId);
+    let fileRel = movedTo || existing?.file;
+    const renameCandidates = new Set(usedPaths);
+    if (fileRel) {
+      renameCandidates.delete(fileRel);
+    }
+    const desiredRel = movedTo
+      ? fileRel
+      : await ensureUniqueFilePath(rootDir, doc.desiredRel, renameCandidates);
+    if (!fileRel) {
+      fileRel = desiredRel;
+    } else if (desiredRel && desiredRel !== fileRel && mode !== 'push') {
+      const oldInfo = localFiles.get(fileRel);
+      if (oldInfo) {
+        actions.push({ type: 'rename', docId: doc.documentId, from: fileRel, to: desiredRel, doc });
+        localFiles.delete(fileRel);
+        localFiles.set(desiredRel, oldInfo);
+      }
+      usedPaths.delete(fileRel);
+      usedPaths.add(desiredRel);
+      tracked.delete(fileRel);
+      tracked.add(desiredRel);
+      fileRel = desiredRel;
+    }
+
+    const localInfo = localFiles.get(fileRel);
+    const base = { docId: doc.documentId, file: fileRel, title: doc.title, doc };
+
+    if (!existing) {
+      if (mode === 'push') {
+        warnings.push(`Not downloading ${fileRel}: push mode never downloads new documents.`);
+        continue;
+      }
+      usedPaths.add(fileRel);
+      tracked.add(fileRel);
+      actions.push({ type: 'download', ...base });
+      continue;
+    }
+
+    if (!localInfo) {
+      actions.push({ type: mode === 'pull' ? 'download' : 'delete-remote', ...base });
+      continue;
+    }
+
+    const localChanged = existing.hash && localInfo.hash && existing.hash !== localInfo.hash;
+    const remoteChanged =
+      existing.revisionId && doc.revisionId && existing.revisionId !== doc.revisionId;
+
+    if (mode === 'pull' && localChanged) {
+      warnings.push(
+        `Local edits to ${fileRel} will be overwritten (pull mode). They are kept in the history.`
+      );
+      actions.push({ type: 'download', ...base, discardLocal: true });
+    } else if (mode === 'push' && (localChanged || remoteChanged)) {
+      if (remoteChanged) {
+        warnings.push(`Remote edits to ${fileRel} will be overwritten (push mode).`);
+      }
+      actions.push({ type: 'upload', ...base });
+    } else if (remoteChanged && localChanged) {
+      const type = await previewMerge(rootDir, token, doc, localInfo.fullPath);
+      actions.push({ type, ...base });
+    } else if (remoteChanged) {
+      actions.push({ type: 'download', ...base });
+    } else if (localChanged) {
+      actions.push({ type: 'upload', ...base });
+    } else {
+      actions.push({ type: 'skip', ...base });
+    }
+  }
+
+  for (const [docId, entry] of Object.entries(manifestDocs)) {
+    if (remoteIds.has(docId) || excluded.has(docId) || isIgnored(entry)) continue;
+    if (await isOutsideSyncRoots(token, docId, entry, syncFilter)) continue;
+    tracked.delete(entry?.file);
+    if (mode === 'push') {
+      actions.push({ type: 'forget', docId, file: entry?.file || '', title: entry?.title || '' });
+    } else if (entry?.file && localFiles.has(entry.file)) {
+      localFiles.delete(entry.file);
+      actions.push({ type: 'delete-local', docId, file: entry.file, title: entry.title || '' });
+    } else {
+      actions.push({ type: 'forget', docId, file: entry?.file || '', title: entry?.title || '' });
+    }
+  }
+
+  const untracked = Array.from(localFiles.keys())
+    .filter((fileRel) => !tracked.has(fileRel))
+    .sort(compareLocalCreationOrder);
+  for (const fileRel of untracked) {
+    if (tracked.has(fileRel)) continue;
+    if (mode === 'pull') {
+      warnings.push(`Not uploading ${fileRel}: pull mode never uploads local files.`);
+      continue;
+    }
+    if (syncFilter && !syncFilter.allowsNewFile(fileRel, tracked)) {
+      warnings.push(`Not uploading ${fileRel}: it is outside the selected wiki roots.`);
+      continue;
+    }
+    if (!driveFolderToken) {
+      planParentFolders(fileRel, tracked, actions);
+    }
+    tracked.add(fileRel);
+    actions.push({ type: 'create', file: fileRel });
+  }
+
+  if (mode !== 'push') {
+    const planned = await planRemoteExports({
+      rootDir,
+      token,
+      nodes: exportNodes,
+      excluded,
+      exports: manifest.exports,
+      options: tableExports,
+    });
+    actions.push(...planned.actions);
+    warnings.push(...planned.warnings);
+  }
+
+  return {
+    rootDir,
+    spaceId,
+    driveFolderToken,
+    mode,
+    manifestName,
+    manifestDocs,
+    tombstones: manifest.tombstones || {},
+    exports: manifest.exports,
+    localMap,
+    remoteDocs,
+    actions,
+    warnings,
+  };
+}
+
+export const SYNC_STATES = [
+  'conflicted',
+  'modified-local',
+  'modified-remote',
+  'moved',
+  'missing-local',
+  'missing-remote',
+  'untracked',
+  'new-remote',
+  'clean',
+];
+
+const SYNC_STATE_LABELS = {
+  conflicted: 'Conflicted (changed on both sides or unresolved *.remote.md)',
+  'modified-local': 'Locally modified',
+  'modified-remote': 'Remotely modified',
+  moved: 'Moved or renamed locally',
+  'missing-local': 'Missing locally (deleted from the sync folder)',
+  'missing-remote': 'Missing remotely (deleted in Feishu)',
+  untracked: 'Untracked (new local files)',
+  'new-remote': 'New in Feishu (not downloaded yet)',
+};
+
+export async function collectSyncStatus({
+  rootDir,
+  spaceId,
+  driveFolderToken,
+  token,
+  manifestName,
+  syncFilter,
+}) {
+  const manifest = await readManifest(rootDir, manifestName);
+  const manifestDocs = manifest.docs || {};
+  const isIgnored = (entry) => Boolean(entry?.file && syncFilter && !syncFilter.allows(entry.file));
+  const localMap = await collectLocalFiles(rootDir, manifestName, syncFilter);
+  const conflicts = (await fileExists(rootDir)) ? await listConflictFiles(rootDir, manifestName) : [];
+  const conflictFiles = new Set(
+    conflicts.map((file) => file.relPath.replace(/\.remote\.md$/i, '.md'))
+  );
+  const { remoteDocs, excluded } = await fetchRemoteDocs({
+    spaceId,
+    driveFolderToken,
+    token,
+    syncFilter,
+  });
+  const remoteById = new Map(remoteDocs.map((doc) => [doc.documentId, doc]));
+
+  const files = [];
+  const tracked = collectTrackedFiles(manifestDocs);
+  const missingFiles = [];
+  for (const [docId, entry] of Object.entries(manifestDocs)) {
+    if (!entry?.file || isIgnored(entry)) continue;
+    const local = localMap.get(entry.file);
+    const remote = remoteById.get(docId);
+    if (!remote) {
+      if (excluded.has(docId) || (await isOutsideSyncRoots(token, docId, entry, syncFilter))) {
+        continue;
+      }
+      files.push({ file: entry.file, docId, state: 'missing-remote' });
+      continue;
+    }
+    if (!local) {
+      missingFiles.push({ docId, relPath: entry.file, hash: entry.hash });
+      continue;
+    }
+    const localChanged = Boolean(entry.hash && local.hash !== entry.hash);
+    const remoteChanged = Boolean(
+      entry.revisionId && remote.revisionId && entry.revisionId !== remote.revisionId
+    );
+    let state = 'clean';
+    if ((localChanged && remoteChanged) || conflictFiles.has(entry.file)) {
+      state = 'conflicted';
+    } else if (localChanged) {
+      state = 'modified-local';
+    } else if (remoteChanged) {
+      state = 'modified-remote';
+    }
+    files.push({ file: entry.file, docId, state });
+  }
+
+  const untrackedFiles = Array.from(localMap.values()).filter(
+    (file) => !tracked.has(file.relPath)
+  );
+  const moves = matchMovedFiles(missingFiles, untrackedFiles);
+  const movedFrom = new Set(moves.map((move) => move.oldRel));
+  const movedTo = new Set(moves.map((move) => move.newRel));
+  for (const move of moves) {
+    files.push({ file: move.newRel, docId: move.docId, state: 'moved', from: move.oldRel });
+  }
+  for (const missing of missingFiles) {
+    if (movedFrom.has(missing.relPath)) continue;
+    files.push({ file: missing.relPath, docId: missing.docId, state: 'missing-local' });
+  }
+  for (const file of untrackedFiles) {
+    if (movedTo.has(file.relPath)) continue;
+    files.push({ file: file.relPath, docId: null, state: 'untracked' });
+  }
+  for (const doc of remoteDocs) {
+    if (manifestDocs[doc.documentId]) continue;
+    files.push({ file: doc.desiredRel, docId: doc.documentId, state: 'new-remote' });
+  }
+
+  files.sort((a, b) => a.file.localeCompare(b.file));
+  const counts = Object.fromEntries(SYNC_STATES.map((state) => [state, 0]));
+  for (const file of files) {
+    counts[file.state] += 1;
+  }
+  return {
+    spaceId,
+    ...(driveFolderToken ? { driveFolderToken } : {}),
+    folder: rootDir,
+    files,
+    counts,
+  };
+}
+
+export function formatSyncStatus(status) {
+  const lines = [];
+  for (const state of SYNC_STATES) {
+    if (state === 'clean') continue;
+    const files = status.files.filter((file) => file.state === state);
+    if (!files.length) continue;
+    lines.push(`${SYNC_STATE_LABELS[state]}:`);
+    for (const file of files) {
+      lines.push(`  ${file.from ? `${file.from} -> ${file.file}` : file.file}`);
+    }
+    lines.push('');
+  }
+  const clean = status.counts.clean;
+  if (!lines.length) {
+    lines.push(`Everything is in sync (${clean} ${clean === 1 ? 'file' : 'files'}).`);
+  } else {
+    lines.push(`${clean} clean ${clean === 1 ? 'file' : 'files'}.`);
+  }
+  return lines.join('\n');
+}
+
+export function checkPlanDeleteLimits(plan, limits) {
+  const counts = countPlanActions(plan);
+  const total = Object.keys(plan.manifestDocs).length;
+  const problems = [];
+  const remote = checkDeleteLimit(counts['delete-remote'], total, limits);
+  if (remote) {
+    problems.push(`Refusing to delete remote documents: ${remote}.`);
+  }
+  const local = checkDeleteLimit(counts['delete-local'], total, limits);
+  if (local) {
+    problems.push(`Refusing to delete local files: ${local}.`);
+  }
+  return problems;
+}
+
+export function countPlanActions(plan) {
+  const counts = Object.fromEntries(PLAN_ACTION_TYPES.map((type) => [type, 0]));
+  for (const action of plan.actions) {
+    if (action.type in counts) {
+      counts[action.type] += 1;
+    }
+  }
+  return counts;
+}
+
+export function describePlan(plan) {
+  return {
+    spaceId: plan.spaceId,
+    ...(plan.driveFolderToken ? { driveFolderToken: plan.driveFolderToken } : {}),
+    folder: plan.rootDir,
+    mode: plan.mode,
+    actions: plan.actions
+      .filter((action) => action.type !== 'forget')
+      .map(({ type, docId, file, from, to, title, folder }) => ({
+        type,
+        docId: docId || null,
+        file: file ?? to,
+        ...(from ? { from } : {}),
+        ...(title ? { title } : {}),
+        ...(folder ? { folder: true } : {}),
+      })),
+    counts: countPlanActions(plan),
+    warnings: [...plan.warnings],
+  };
+}
+
+export function listPlanChanges(plan) {
+  return plan.actions
+    .filter((action) => action.type !== 'skip' && action.type !== 'forget')
+    .map(({ type, docId, file, from, to, doc, fileType }) => ({
+      type,
+      docId: docId || null,
+      file: file ?? to,
+      ...(from ? { from } : {}),
+      fileType: doc?.fileType ?? fileType,
+    }));
+}
+
+export function formatPlanTable(plan) {
+  const rows = plan.actions
+    .filter((action) => action.type !== 'skip' && action.type !== 'forget')
+    .map((action) => {
+      let target = action.from ? `${action.from} -> ${action.to}` : action.file;
+      if (action.folder) target += ' (folder)';
+      return [action.type, target];
+    });
+  const counts = countPlanActions(plan);
+  const lines = [];
+  if (!rows.length) {
+    lines.push('Nothing to do.');
+  } else {
+    const width = Math.max(...rows.map(([type]) => type.length));
+    lines.push('Planned actions:');
+    for (const [type, target] of rows) {
+      lines.push(`  ${type.padEnd(width)}  ${target}`);
+    }
+  }
+  lines.push('');
+  const width = Math.max(...PLAN_ACTION_TYPES.map((type) => type.length));
+  for (const type of PLAN_ACTION_TYPES) {
+    lines.push(`  ${type.padEnd(width)}  ${counts[type]}`);
+  }
+  return lines.join('\n');
+}
+
+export async function applySyncPlan(plan, { token, verify, log = console }) {
+  const { rootDir, spaceId, driveFolderToken, manifestName, manifestDocs, tombstones, exports } =
+    plan;
+  await fs.mkdir(rootDir, { recursive: true });
+
+  const localMap = new Map(plan.localMap);
+  const usedPaths = collectUsedPaths(localMap, manifestDocs);
+  const stats = {
+    downloaded: 0,
+    uploaded: 0,
+    deletedLocal: 0,
+    deletedRemote: 0,
+    moved: 0,
+    merged: 0,
+    conflicts: 0,
+    skipped: 0,
+    exported: 0,
+  };
+
+  for (const doc of plan.remoteDocs) {
+    const existing = manifestDocs[doc.documentId];
+    if (existing && !plan.actions.some((a) => a.type === 'move' && a.docId === doc.documentId)) {
+      existing.nodeToken = doc.nodeToken;
+    }
+  }
+
+  const saveManifest = () =>
+    writeManifest(rootDir, { spaceId, docs: manifestDocs, tombstones, exports }, manifestName);
+  let unsaved = false;
+  for (const action of plan.actions) {
+    if (unsaved) {
+      await saveManifest();
+    }
+    unsaved = action.type !== 'skip';
+    const { docId, doc } = action;
+    const existing = docId ? manifestDocs[docId] : null;
+
+    if (action.type === 'move') {
+      const { hash } = await applyLocalMove({
+        rootDir,
+        spaceId,
+        driveFolderToken,
+        token,
+        manifestDocs,
+        documentId: docId,
+        oldRel: action.from,
+        newRel: action.to,
+      });
+      localMap.set(action.to, { ...localMap.get(action.to), hash });
+      stats.moved += 1;
+      continue;
+    }
+
+    if (action.type === 'export') {
+      await applyRemoteExport({ rootDir, token, exports, action });
+      stats.exported += 1;
+      continue;
+    }
+
+    if (action.type === 'delete-export') {
+      await removeRemoteExport({ rootDir, exports, docId });
+      continue;
+    }
+
+    if (action.type === 'rename') {
+      const oldInfo = localMap.get(action.from);
+      if (oldInfo) {
+        await relocateLocalFile(rootDir, action.from, action.to);
+        localMap.delete(action.from);
+        localMap.set(action.to, {
+          ...oldInfo,
+          relPath: action.to,
+          fullPath: path.join(rootDir, action.to),
+        });
+      }
+      usedPaths.delete(action.from);
+      usedPaths.add(action.to);
+      if (existing) {
+        existing.file = action.to;
+      }
+      continue;
+    }
+
+    const fileRel = action.file;
+    const fileAbs = fileRel ? path.join(rootDir, fileRel) : null;
+    let localInfo = fileRel ? localMap.get(fileRel) : null;
+
+    if (action.type === 'download') {
+      if (action.discardLocal && localInfo) {
+        const markdown = await fs.readFile(fileAbs, 'utf8');
+        await recordHistoryVersion(rootDir, docId, markdown, { file: fileRel });
+      }
+      const hash = await downloadDocumentToFile(
+        docId,
+        token,
+        buildMetadata(doc),
+        fileAbs,
+        rootDir
+      );
+      manifestDocs[docId] = {
+        ...(existing || { nodeToken: doc.nodeToken }),
+        file: fileRel,
+        revisionId: doc.revisionId,
+        title: doc.title,
+        fileType: resolveFileType(doc, existing),
+        hash,
+      };
+      await recordBaseSnapshot(rootDir, docId, fileAbs, manifestDocs[docId]);
+      usedPaths.add(fileRel);
+      localMap.set(fileRel, { ...localInfo, fullPath: fileAbs, relPath: fileRel, hash });
+      stats.downloaded += 1;
+      continue;
+    }
+
+    if (action.type === 'delete-remote') {
+      await deleteRemoteDocumentJournaled({
+        rootDir,
+        documentId: docId,
+        token,
+        fileType: resolveFileType(doc, existing),
+      });
+      await recordTombstone(rootDir, tombstones, docId, existing, {
+        deleted: 'remote',
+        markdown: await readBaseSnapshot(rootDir, docId),
+      });
+      delete manifestDocs[docId];
+      await deleteBaseSnapshot(rootDir, docId);
+      stats.deletedRemote += 1;
+      continue;
+    }
+
+    if (action.type === 'merge' || action.type === 'conflict') {
+      const result = await mergeDocumentChanges({
+        rootDir,
+        documentId: docId,
+        token,
+        metadata: buildMetadata(doc),
+        fileAbs,
+        conflictAbs: path.join(rootDir, buildConflictPath(fileRel)),
+      });
+      if (!result.merged) {
+        stats.conflicts += 1;
+        continue;
+      }
+      manifestDocs[docId] = {
+        ...existing,
+        file: fileRel,
+        revisionId: result.revisionId,
+        title: result.title,
+        fileType: resolveFileType(doc, existing),
+        hash: result.hash,
+      };
+      localMap.set(fileRel, { ...localInfo, hash: result.hash });
+      stats.merged += 1;
+      continue;
+    }
+
+    if (action.type === 'upload') {
+      let uploadRel = fileRel;
+      const markdown = await fs.readFile(localInfo.fullPath, 'utf8');
+      const { titleChanged } = await uploadMarkdownJournaled({
+        rootDir,
+        documentId: docId,
+        token,
+        markdown,
+        file: fileRel,
+      });
+      const meta = await fetchDocumentMeta(docId, token);
+      if (titleChanged) {
+        uploadRel = await renameLocalFileForTitle({
+          rootDir,
+          fileRel,
+          title: meta.title,
+          usedPaths,
+        });
+        if (uploadRel !== fileRel) {
+          const fullPath = path.join(rootDir, uploadRel);
+          localMap.delete(fileRel);
+          localMap.set(uploadRel, { ...localInfo, relPath: uploadRel, fullPath });
+          localInfo = localMap.get(uploadRel);
+        }
+      }
+      manifestDocs[docId] = {
+        ...existing,
+        file: uploadRel,
+        revisionId: meta.revision_id ?? meta.revisionId ?? doc.revisionId,
+        title: meta.title || doc.title,
+        fileType: resolveFileType(doc, existing),
+        hash: localInfo.hash,
+      };
+      await recordBaseSnapshot(rootDir, docId, localInfo.fullPath, manifestDocs[docId]);
+      const verified = await verifyUploadedDocument({
+        rootDir,
+        documentId: docId,
+        token,
+        markdown,
+        entry: manifestDocs[docId],
+        verify,
+        log,
+      });
+      if (verified?.rewritten) {
+        localMap.set(uploadRel, { ...localInfo, hash: manifestDocs[docId].hash });
+      }
+      stats.uploaded += 1;
+      continue;
+    }
+
+    if (action.type === 'skip') {
+      manifestDocs[docId] = {
+        ...existing,
+        file: fileRel,
+        revisionId: doc.revisionId,
+        title: doc.title,
+        fileType: resolveFileType(doc, existing),
+        hash: localInfo.hash || existing.hash,
+      };
+      if ((await readBaseSnapshot(rootDir, docId)) === null) {
+        await recordBaseSnapshot(rootDir, docId, localInfo.fullPath, manifestDocs[docId]);
+      }
+      stats.skipped += 1;
+      continue;
+    }
+
+    if (action.type === 'delete-local') {
+      if (localInfo) {
+        await recordTombstone(rootDir, tombstones, docId, existing, {
+          deleted: 'local',
+          markdown: await fs.readFile(localInfo.fullPath, 'utf8'),
+        });
+        await deleteLocalFile(localInfo.fullPath);
+        await pruneEmptyDirs(rootDir, path.dirname(localInfo.fullPath));
+        localMap.delete(fileRel);
+        stats.deletedLocal += 1;
+      }
+      delete manifestDocs[docId];
+      await deleteBaseSnapshot(rootDir, docId);
+      continue;
+    }
+
+    if (action.type === 'forget') {
+      delete manifestDocs[docId];
+      await deleteBaseSnapshot(rootDir, docId);
+      continue;
+    }
+
+    if (action.type === 'create') {
+      if (action.folder || !localInfo || collectTrackedFiles(manifestDocs).has(fileRel)) continue;
+      const markdown = await fs.readFile(localInfo.fullPath, 'utf8');
+      const parent = await resolveNewDocParent({
+        rootDir,
+        spaceId,
+        driveFolderToken,
+        token,
+        manifestDocs,
+        fileRel,
+      });
+      const { documentId: newDocId, nodeToken } = await createDocumentJournaled({
+        rootDir,
+        spaceId,
+        token,
+        markdown,
+        file: fileRel,
+        parent,
+      });
+      const meta = await fetchDocumentMeta(newDocId, token);
+      manifestDocs[newDocId] = {
+        file: fileRel,
+        nodeToken,
+        revisionId: meta.revision_id ?? meta.revisionId ?? null,
+        title: meta.title || '',
+        fileType: 'docx',
+        hash: localInfo.hash,
+      };
+      await writeBaseSnapshot(rootDir, newDocId, markdown, manifestDocs[newDocId]);
+      const verified = await verifyUploadedDocument({
+        rootDir,
+        documentId: newDocId,
+        token,
+        markdown,
+        entry: manifestDocs[newDocId],
+        verify,
+        log,
+      });
+      if (verified?.rewritten) {
+        localMap.set(fileRel, { ...localInfo, hash: manifestDocs[newDocId].hash });
+      }
+      stats.uploaded += 1;
+    }
+  }
+
+  await saveManifest();
+  return stats;
+}
@@ -0,0 +1,85 @@
+const BITABLE_DATE_FIELD_TYPES = new Set([5, 1001, 1002]);
+const TEXT_SEGMENT_TYPES = new Set(['text', 'mention', 'url']);
+
+export function columnLetter(index) {
+  let letters = '';
+  for (let n = index; n > 0; n = Math.floor((n - 1) / 26)) {
+    letters = String.fromCharCode(65 + ((n - 1) % 26)) + letters;
+  }
+  return letters;
+}
+
+export function sheetCellToText(cell) {
+  if (cell === null || cell === undefined) return '';
+  if (Array.isArray(cell)) return cell.map(sheetCellToText).join('');
+  if (typeof cell === 'object') return String(cell.text ?? cell.link ?? cell.value ?? '');
+  return String(cell);
+}
+
+function isTextSegment(item) {
+  return Boolean(item) && typeof item === 'object' && TEXT_SEGMENT_TYPES.has(item.type);
+}
+
+export function bitableValueToText(value, fieldType) {
+  if (value === null || value === undefined) return '';
+  if (BITABLE_DATE_FIELD_TYPES.has(fieldType) && typeof value === 'number') {
+    return new Date(value).toISOString();
+  }
+  if (Array.isArray(value)) {
+    const separator = value.every(isTextSegment) ? '' : ', ';
+    return value
+      .map((item) => bitableValueToText(item, fieldType))
+      .filter(Boolean)
+      .join(separator);
+  }
+  if (typeof value === 'object') {
+    if (Array.isArray(value.link_record_ids)) return value.link_record_ids.join(', ');
+    if (value.value !== undefined) return bitableValueToText(value.value, fieldType);
+    return String(value.text ?? value.name ?? value.full_address ?? value.link ?? '');
+  }
+  return String(value);
+}
+
+export function trimTableRows(rows) {
+  const trimmed = rows.map((row) => {
+    const next = row.slice();
+    while (next.length && next[next.length - 1] === '') next.pop();
+    return next;
+  });
+  while (trimmed.length && !trimmed[trimmed.length - 1].length) trimmed.pop();
+  const width = Math.max(0, ...trimmed.map((row) => row.length));
+  return trimmed.map((row) => {
+    const next = row.slice();
+    while (next.length < width) next.push('');
+    return next;
+  });
+}
+
+function csvField(value) {
+  return /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+}
+
+export function formatCsv(rows) {
+  return rows.map((row) => `${row.map(csvField).join(',')}\n`).join('');
+}
+
+function markdownTableCell(value) {
+  return value.replace(/\|/g, '\\|').replace(/\r?\n/g, '<br/>');
+}
+
+export function formatMarkdownTable(rows) {
+  if (!rows.length) return '';
+  const width = Math.max(1, ...rows.map((row) => row.length));
+  const formatRow = (row) => {
+    const cells = [];
+    for (let i = 0; i < width; i += 1) {
+      cells.push(markdownTableCell(row[i] ?? ''));
+    }
+    return `| ${cells.join(' | ')} |`;
+  };
+  const lines = [formatRow(rows[0]), `| ${new Array(width).fill('---').join(' | ')} |`];
+  for (const row of rows.slice(1)) {
+    lines.push(formatRow(row));
+  }
+  return lines.join('\n');
+}
@@ -0,0 +1,127 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { readConfig, requireConfigValue, resolvePath } from '../config.js';
+import {
+  readToken,
+  resolveSyncPairs,
+  selectSyncPairs,
+  findSyncedDocument,
+  fileExists,
+  readBaseSnapshot,
+  resolveApiLimits,
+} from '../api/helpers.js';
+import {
+  fetchDocumentMeta,
+  fetchDocumentMarkdown,
+  configureApiScheduler,
+} from '../api/feishu.js';
+import { formatUnifiedDiff, formatWordDiff } from '../api/diff.js';
+
+if (typeof fetch !== 'function') {
+  console.error('This CLI requires Node.js 18+ (global fetch).');
+  process.exit(1);
+}
+
+const MANIFEST_NAME = '.feishu-sync.json';
+const USAGE =
+  'Usage: npm run diff -- [--remote-vs-base] [--word] [--pair <name>] <file|documentId...>';
+
+function parseArgs(argv) {
+  const options = { remoteVsBase: false, word: false, targets: [], pairs: [] };
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+    if (arg === '--remote-vs-base') {
+      options.remoteVsBase = true;
+    } else if (arg === '--word') {
+      options.word = true;
+    } else if (arg === '--pair' && argv[i + 1]) {
+      options.pairs.push(argv[i + 1]);
+      i += 1;
+    } else if (arg.startsWith('--pair=')) {
+      options.pairs.push(arg.slice('--pair='.length));
+    } else if (arg.startsWith('--')) {
+      throw new Error(USAGE);
+    } else {
+      options.targets.push(arg);
+    }
+  }
+  if (!options.targets.length) {
+    throw new Error(USAGE);
+  }
+  return options;
+}
+
+async function fetchRemoteMarkdown(rootDir, docId, entry, token) {
+  const meta = await fetchDocumentMeta(docId, token);
+  return fetchDocumentMarkdown(
+    docId,
+    token,
+    {
+      document_id: docId,
+      revision_id: meta.revision_id ?? meta.revisionId ?? entry.revisionId ?? null,
+      title: meta.title || entry.title || '',
+    },
+    { rootDir, file: entry.file, download: false }
+  );
+}
+
+async function diffDocument(found, token, options) {
+  const { pair, docId, entry } = found;
+  const fileRel = entry.file;
+  const remote = await fetchRemoteMarkdown(pair.rootDir, docId, entry, token);
+  let oldText;
+  let newText;
+  let labels;
+  if (options.remoteVsBase) {
+    oldText = await readBaseSnapshot(pair.rootDir, docId);
+    if (oldText === null) {
+      throw new Error(`${fileRel} has no last-synced snapshot to compare against.`);
+    }
+    newText = remote;
+    labels = { oldLabel: `${fileRel} (last synced)`, newLabel: `${fileRel} (remote)` };
+  } else {
+    const fileAbs = path.join(pair.rootDir, fileRel);
+    oldText = remote;
+    newText = (await fileExists(fileAbs)) ? await fs.readFile(fileAbs, 'utf8') : '';
+    labels = { oldLabel: `${fileRel} (remote)`, newLabel: `${fileRel} (local)` };
+  }
+  const format = options.word ? formatWordDiff : formatUnifiedDiff;
+  const diff = format(oldText, newText, labels);
+  if (!diff) {
+    const sides = options.remoteVsBase ? 'remote and last-synced' : 'local and remote';
+    return `${fileRel}: ${sides} copies are identical.\n`;
+  }
+  return diff;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const config = await readConfig();
+  const tokenPath = resolvePath(requireConfigValue(config, 'tokenPath'));
+  const pairs = selectSyncPairs(resolveSyncPairs(config), options.pairs);
+
+  const found = [];
+  for (const target of options.targets) {
+    const match = await findSyncedDocument(pairs, target, MANIFEST_NAME);
+    if (!match) {
+      throw new Error(`${target} is not a synced document.`);
+    }
+    if (match.deleted) {
+      throw new Error(
+        `${target} was deleted. Run \`npm run restore -- ${target}\` to bring it back.`
+      );
+    }
+    found.push(match);
+  }
+
+  const token = await readToken(tokenPath);
+  configureApiScheduler(resolveApiLimits(config));
+  for (const match of found) {
+    process.stdout.write(await diffDocument(match, token, options));
+  }
+}
+
+main().catch((err) => {
+  console.error(err.message || err);
+  process.exit(1);
+});
@@ -1,6 +1,6 @@
 import { readConfig, requireConfigValue, resolvePath } from '../config.js';
-import { readToken, sanitizeFilename } from '../api/helpers.js';
-import { fetchDocumentMeta, downloadDocumentToFile } from '../api/feishu.js';
+import { readToken, sanitizeFilename, resolveApiLimits } from '../api/helpers.js';
+import { fetchDocumentMeta, downloadDocumentToFile, configureApiScheduler } from '../api/feishu.js';
 
 if (typeof fetch !== 'function') {
   console.error('This CLI requires Node.js 18+ (global fetch).');
@@ -26,6 +26,7 @@ async function main() {
 
   const documentId = extractDocumentId(docInput);
   const token = await readToken(tokenPath);
+  configureApiScheduler(resolveApiLimits(config));
 
   const metadata = await fetchDocumentMeta(documentId, token);
   const title = metadata.title || documentId;
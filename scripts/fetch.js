@@ -1,6 +1,6 @@
 import { readConfig, requireConfigValue, resolvePath } from '../config.js';
-import { readToken } from '../api/helpers.js';
-import { apiGet, fetchAllBlocks } from '../api/feishu.js';
+import { readToken, resolveApiLimits } from '../api/helpers.js';
+import { apiGet, fetchAllBlocks, configureApiScheduler } from '../api/feishu.js';
 
 if (typeof fetch !== 'function') {
   console.error('This CLI requires Node.js 18+ (global fetch).');
@@ -26,6 +26,7 @@ async function main() {
 
   const documentId = extractDocumentId(docInput);
   const token = await readToken(tokenPath);
+  configureApiScheduler(resolveApiLimits(config));
 
   const documentInfo = await apiGet(`/docx/v1/documents/${documentId}`, token);
   const metadata = documentInfo.document || documentInfo;
@@ -0,0 +1,84 @@
+import { readConfig } from '../config.js';
+import {
+  resolveSyncPairs,
+  selectSyncPairs,
+  findSyncedDocument,
+  readHistory,
+  readBaseSnapshot,
+  hashText,
+} from '../api/helpers.js';
+
+const MANIFEST_NAME = '.feishu-sync.json';
+const USAGE = 'Usage: npm run history -- [--pair <name>] <file|documentId>';
+
+function parseArgs(argv) {
+  const targets = [];
+  const pairs = [];
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+    if (arg === '--pair' && argv[i + 1]) {
+      pairs.push(argv[i + 1]);
+      i += 1;
+    } else if (arg.startsWith('--pair=')) {
+      pairs.push(arg.slice('--pair='.length));
+    } else if (arg.startsWith('--')) {
+      throw new Error(USAGE);
+    } else {
+      targets.push(arg);
+    }
+  }
+  if (targets.length !== 1) {
+    throw new Error(USAGE);
+  }
+  return { target: targets[0], pairs };
+}
+
+function formatVersionLine(number, version, synced) {
+  const savedAt = String(version.savedAt || '').replace('T', ' ').replace(/\.\d+Z$/, 'Z');
+  const revision =
+    version.revisionId === null || version.revisionId === undefined
+      ? '-'
+      : `rev ${version.revisionId}`;
+  const marker = synced ? '  (synced)' : '';
+  const columns = [
+    String(number).padStart(3),
+    savedAt,
+    revision.padEnd(10),
+    version.hash.slice(0, 10),
+    `${version.file || ''}${marker}`,
+  ];
+  return `  ${columns.join('  ')}`;
+}
+
+async function main() {
+  const { target, pairs: pairNames } = parseArgs(process.argv.slice(2));
+  const config = await readConfig();
+  const pairs = selectSyncPairs(resolveSyncPairs(config), pairNames);
+  const found = await findSyncedDocument(pairs, target, MANIFEST_NAME);
+  if (!found) {
+    throw new Error(`${target} is not a synced document.`);
+  }
+
+  const { pair, docId, entry, deleted } = found;
+  const versions = await readHistory(pair.rootDir, docId);
+  const name = entry.file || entry.title || docId;
+  if (!versions.length) {
+    console.log(`No saved versions of ${name} (${docId}).`);
+    return;
+  }
+  const base = deleted ? null : await readBaseSnapshot(pair.rootDir, docId);
+  const baseHash = base === null ? null : hashText(base);
+  const syncedIndex = versions.findLastIndex((item) => item.hash === baseHash);
+  console.log(`Versions of ${name} (${docId})${deleted ? ', deleted' : ''}:`);
+  for (let index = versions.length - 1; index >= 0; index -= 1) {
+    console.log(formatVersionLine(index + 1, versions[index], index === syncedIndex));
+  }
+  if (!deleted) {
+    console.log(`\nRun \`npm run restore -- ${entry.file} <version>\` to bring a version back.`);
+  }
+}
+
+main().catch((err) => {
+  console.error(err.message || err);
+  process.exit(1);
+});
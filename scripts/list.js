@@ -1,6 +1,6 @@
 import { readConfig, requireConfigValue, resolvePath } from '../config.js';
-import { readToken } from '../api/helpers.js';
-import { fetchWikiNodes } from '../api/feishu.js';
+import { readToken, resolveApiLimits } from '../api/helpers.js';
+import { fetchWikiNodes, configureApiScheduler } from '../api/feishu.js';
 
 if (typeof fetch !== 'function') {
   console.error('This CLI requires Node.js 18+ (global fetch).');
@@ -32,6 +32,7 @@ async function main() {
   const spaceId = requireConfigValue(config, 'wikiSpaceId');
   const tokenPath = resolvePath(requireConfigValue(config, 'tokenPath'));
   const token = await readToken(tokenPath);
+  configureApiScheduler(resolveApiLimits(config));
 
   await listNodes(spaceId, token, undefined, 0);
 }
@@ -0,0 +1,274 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import readline from 'node:readline/promises';
+import { spawnSync } from 'node:child_process';
+import { readConfig, requireConfigValue, resolvePath } from '../config.js';
+import {
+  readToken,
+  hashMarkdown,
+  readManifest,
+  writeManifest,
+  resolveSyncPairs,
+  selectSyncPairs,
+  ensurePosixPath,
+  fileExists,
+  deleteLocalFile,
+  listConflictFiles,
+  resolveConflictSource,
+  readBaseSnapshot,
+  writeBaseSnapshot,
+  resolveApiLimits,
+  withSyncLock,
+} from '../api/helpers.js';
+import {
+  fetchDocumentMeta,
+  fetchDocumentMarkdown,
+  uploadMarkdownJournaled,
+  configureApiScheduler,
+} from '../api/feishu.js';
+import { formatUnifiedDiff } from '../api/diff.js';
+import { mergeText, hasConflictMarkers } from '../api/merge.js';
+
+if (typeof fetch !== 'function') {
+  console.error('This CLI requires Node.js 18+ (global fetch).');
+  process.exit(1);
+}
+
+const MANIFEST_NAME = '.feishu-sync.json';
+const STRATEGIES = new Set(['ours', 'theirs']);
+const CHOICES = {
+  l: 'ours',
+  local: 'ours',
+  r: 'theirs',
+  remote: 'theirs',
+  m: 'merge',
+  merge: 'merge',
+  s: 'skip',
+  skip: 'skip',
+};
+
+function parseArgs(argv) {
+  let strategy = null;
+  const files = [];
+  const pairs = [];
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+    if (arg === '--strategy') {
+      strategy = argv[i + 1];
+      i += 1;
+    } else if (arg.startsWith('--strategy=')) {
+      strategy = arg.slice('--strategy='.length);
+    } else if (arg === '--pair') {
+      pairs.push(argv[i + 1]);
+      i += 1;
+    } else if (arg.startsWith('--pair=')) {
+      pairs.push(arg.slice('--pair='.length));
+    } else {
+      files.push(arg);
+    }
+  }
+  if (strategy !== null && !STRATEGIES.has(strategy)) {
+    throw new Error(
+      'Usage: npm run resolve -- [--strategy ours|theirs] [--pair <name>] [file...]'
+    );
+  }
+  return { strategy, files, pairs };
+}
+
+async function promptChoice(rl, fileRel) {
+  for (;;) {
+    const answer = await rl.question(
+      `${fileRel}: keep [l]ocal, take [r]emote, [m]erge in editor, or [s]kip? `
+    );
+    const choice = CHOICES[answer.trim().toLowerCase()];
+    if (choice) return choice;
+  }
+}
+
+async function editMergedFile(rl, fileAbs) {
+  const [command, ...args] = (process.env.VISUAL || process.env.EDITOR || '').trim().split(/\s+/);
+  if (command) {
+    rl.pause();
+    const result = spawnSync(command, [...args, fileAbs], { stdio: 'inherit' });
+    rl.resume();
+    if (!result.error && result.status === 0) return;
+    const reason =
+      result.error?.message ||
+      (result.signal ? `signal ${result.signal}` : `exit code ${result.status}`);
+    console.warn(`Warning: editor ${command} failed (${reason}).`);
+  }
+  await rl.question(`Edit ${fileAbs}, remove the conflict markers, then press Enter. `);
+}
+
+async function main() {
+  const { strategy, files, pairs: pairNames } = parseArgs(process.argv.slice(2));
+  const config = await readConfig();
+  const manifestName = MANIFEST_NAME;
+  const tokenPath = resolvePath(requireConfigValue(config, 'tokenPath'));
+  const allPairs = resolveSyncPairs(config);
+  const pairs = selectSyncPairs(allPairs, pairNames);
+  const labelled = allPairs.length > 1;
+
+  const conflicts = [];
+  for (const pair of pairs) {
+    const { rootDir } = pair;
+    const manifest = await readManifest(rootDir, manifestName);
+    const fileToDoc = new Map();
+    for (const [docId, entry] of Object.entries(manifest.docs || {})) {
+      if (entry?.file) fileToDoc.set(entry.file, docId);
+    }
+    const filters = new Set(
+      files.map((file) =>
+        ensurePosixPath(path.isAbsolute(file) ? path.relative(rootDir, file) : path.normalize(file))
+      )
+    );
+    for (const conflict of await listConflictFiles(rootDir, manifestName)) {
+      if (
+        filters.size &&
+        !filters.has(conflict.relPath) &&
+        !filters.has(resolveConflictSource(conflict.relPath))
+      ) {
+        continue;
+      }
+      conflicts.push({ ...conflict, pair, manifest, fileToDoc });
+    }
+  }
+
+  if (!conflicts.length) {
+    console.log('No pending conflicts.');
+    return;
+  }
+
+  const displayPath = (conflict, relPath) =>
+    labelled ? `${conflict.pair.name}: ${relPath}` : relPath;
+  console.log(`Pending conflicts (${conflicts.length}):`);
+  for (const conflict of conflicts) {
+    console.log(`  ${displayPath(conflict, resolveConflictSource(conflict.relPath))}`);
+  }
+
+  const token = await readToken(tokenPath);
+  configureApiScheduler(resolveApiLimits(config));
+  const rl = strategy
+    ? null
+    : readline.createInterface({ input: process.stdin, output: process.stdout });
+
+  let resolved = 0;
+  let unresolved = 0;
+  try {
+    for (const conflict of conflicts) {
+      const { pair, manifest, fileToDoc } = conflict;
+      const { rootDir } = pair;
+      const manifestDocs = manifest.docs || {};
+      const fileRel = resolveConflictSource(conflict.relPath);
+      const fileAbs = path.join(rootDir, fileRel);
+      const docId = fileToDoc.get(fileRel);
+      if (!docId) {
+        console.warn(`Skipping ${conflict.relPath}: ${fileRel} is not tracked in the manifest.`);
+        unresolved += 1;
+        continue;
+      }
+      if (!(await fileExists(fileAbs))) {
+        console.warn(`Skipping ${conflict.relPath}: ${fileRel} no longer exists.`);
+        unresolved += 1;
+        continue;
+      }
+
+      const entry = manifestDocs[docId];
+      const meta = await fetchDocumentMeta(docId, token);
+      const revisionId = meta.revision_id ?? meta.revisionId ?? entry.revisionId ?? null;
+      const title = meta.title || entry.title || '';
+      const fetchRemote = (download) =>
+        fetchDocumentMarkdown(
+          docId,
+          token,
+          { document_id: docId, revision_id: revisionId, title },
+          { rootDir, file: fileRel, download }
+        );
+      let remote = await fetchRemote(false);
+      const local = await fs.readFile(fileAbs, 'utf8');
+
+      let choice = strategy;
+      if (!choice) {
+        const diff = formatUnifiedDiff(local, remote, {
+          oldLabel: `${fileRel} (local)`,
+          newLabel: `${fileRel} (remote)`,
+        });
+        console.log('');
+        console.log(diff || `${fileRel}: local and remote are identical.`);
+        choice = await promptChoice(rl, fileRel);
+      }
+
+      if (choice === 'skip') {
+        unresolved += 1;
+        continue;
+      }
+      if (choice !== 'ours') {
+        remote = await fetchRemote(true);
+      }
+
+      if (choice === 'merge') {
+        const base = await readBaseSnapshot(rootDir, docId);
+        const { merged } = mergeText(base ?? '', local, remote);
+        await fs.writeFile(fileAbs, merged, 'utf8');
+        await editMergedFile(rl, fileAbs);
+        const edited = await fs.readFile(fileAbs, 'utf8');
+        if (hasConflictMarkers(edited)) {
+          console.warn(`${fileRel} still contains conflict markers; left unresolved.`);
+          unresolved += 1;
+          continue;
+        }
+        choice = 'ours';
+      }
+
+      await withSyncLock(
+        rootDir,
+        async () => {
+          const latest = await readManifest(rootDir, manifestName);
+          const current = latest.docs[docId] || entry;
+          if (choice === 'ours') {
+            const markdown = await fs.readFile(fileAbs, 'utf8');
+            await uploadMarkdownJournaled({
+              rootDir,
+              documentId: docId,
+              token,
+              markdown,
+              file: fileRel,
+            });
+            const after = await fetchDocumentMeta(docId, token);
+            latest.docs[docId] = {
+              ...current,
+              revisionId: after.revision_id ?? after.revisionId ?? revisionId,
+              title: after.title || title,
+              hash: hashMarkdown(markdown),
+            };
+            await writeBaseSnapshot(rootDir, docId, markdown, latest.docs[docId]);
+          } else {
+            await fs.writeFile(fileAbs, remote, 'utf8');
+            latest.docs[docId] = {
+              ...current,
+              revisionId,
+              title,
+              hash: hashMarkdown(remote),
+            };
+            await writeBaseSnapshot(rootDir, docId, remote, latest.docs[docId]);
+          }
+
+          await deleteLocalFile(conflict.fullPath);
+          await writeManifest(rootDir, latest, manifestName);
+        },
+        { purpose: 'resolve' }
+      );
+      console.log(`Resolved ${fileRel} (${choice === 'ours' ? 'kept local' : 'took remote'}).`);
+      resolved += 1;
+    }
+  } finally {
+    if (rl) rl.close();
+  }
+
+  console.log(`Resolve complete. Resolved: ${resolved}, Unresolved: ${unresolved}`);
+}
+
+main().catch((err) => {
+  console.error(err.message || err);
+  process.exit(1);
+});
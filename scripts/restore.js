@@ -0,0 +1,310 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { readConfig, requireConfigValue, resolvePath } from '../config.js';
+import {
+  readToken,
+  hashText,
+  hashMarkdown,
+  readManifest,
+  writeManifest,
+  resolveSyncPairs,
+  selectSyncPairs,
+  ensurePosixPath,
+  sanitizeFilename,
+  ensureUniqueFilePathWithFs,
+  readTrashSnapshot,
+  deleteTrashSnapshot,
+  writeBaseSnapshot,
+  resolveApiLimits,
+  withSyncLock,
+  fileExists,
+  findSyncedDocument,
+  readHistory,
+  readHistoryObject,
+  recordHistoryVersion,
+  findHistoryVersion,
+  isHistoryVersionSelector,
+} from '../api/helpers.js';
+import {
+  fetchDocumentMeta,
+  createDocumentJournaled,
+  uploadMarkdownJournaled,
+  resolveNewDocParent,
+  compareLocalCreationOrder,
+  configureApiScheduler,
+} from '../api/feishu.js';
+
+if (typeof fetch !== 'function') {
+  console.error('This CLI requires Node.js 18+ (global fetch).');
+  process.exit(1);
+}
+
+const MANIFEST_NAME = '.feishu-sync.json';
+const USAGE =
+  'Usage: npm run restore -- [--all] [--pair <name>] [file|documentId...]\n' +
+  '       npm run restore -- [--pair <name>] [--push] <file|documentId> <version>';
+
+function parseArgs(argv) {
+  let all = false;
+  let push = false;
+  const targets = [];
+  const pairs = [];
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+    if (arg === '--all') {
+      all = true;
+    } else if (arg === '--push') {
+      push = true;
+    } else if (arg === '--pair' && argv[i + 1]) {
+      pairs.push(argv[i + 1]);
+      i += 1;
+    } else if (arg.startsWith('--pair=')) {
+      pairs.push(arg.slice('--pair='.length));
+    } else if (arg.startsWith('--')) {
+      throw new Error(USAGE);
+    } else {
+      targets.push(arg);
+    }
+  }
+  return { all, push, targets, pairs };
+}
+
+function describeTombstone(docId, tombstone) {
+  const side = tombstone.deleted === 'local' ? 'local file' : 'remote doc';
+  const file = tombstone.file || tombstone.title || docId;
+  return `${tombstone.deletedAt || 'unknown time'}  ${side.padEnd(10)}  ${file} (${docId})`;
+}
+
+async function restorePair(pair, selected, manifest, token) {
+  const { rootDir, spaceId, driveFolderToken } = pair;
+  const manifestDocs = manifest.docs || {};
+  const tombstones = manifest.tombstones || {};
+  const usedPaths = new Set(
+    Object.values(manifestDocs)
+      .map((entry) => entry?.file)
+      .filter(Boolean)
+  );
+
+  let restored = 0;
+  let failed = 0;
+  for (const [docId, tombstone] of selected) {
+    if (!tombstones[docId]) {
+      console.warn(`Skipping ${tombstone.file || docId}: it was restored in the meantime.`);
+      continue;
+    }
+    const markdown = await readTrashSnapshot(rootDir, docId);
+    if (markdown === null) {
+      console.warn(`Skipping ${tombstone.file || docId}: no saved copy in the trash.`);
+      failed += 1;
+      continue;
+    }
+
+    const fileRel = await ensureUniqueFilePathWithFs(
+      rootDir,
+      tombstone.file || `${sanitizeFilename(tombstone.title) || docId}.md`,
+      usedPaths
+    );
+    const fileAbs = path.join(rootDir, fileRel);
+    await fs.mkdir(path.dirname(fileAbs), { recursive: true });
+    await fs.writeFile(fileAbs, markdown, 'utf8');
+    usedPaths.add(fileRel);
+
+    const parent = await resolveNewDocParent({
+      rootDir,
+      spaceId,
+      driveFolderToken,
+      token,
+      manifestDocs,
+      fileRel,
+    });
+    const { documentId, nodeToken } = await createDocumentJournaled({
+      rootDir,
+      spaceId,
+      token,
+      markdown,
+      file: fileRel,
+      parent,
+    });
+    const meta = await fetchDocumentMeta(documentId, token);
+    manifestDocs[documentId] = {
+      file: fileRel,
+      nodeToken,
+      revisionId: meta.revision_id ?? meta.revisionId ?? null,
+      title: meta.title || tombstone.title || '',
+      fileType: 'docx',
+      hash: hashMarkdown(markdown),
+    };
+    await writeBaseSnapshot(rootDir, documentId, markdown, manifestDocs[documentId]);
+    delete tombstones[docId];
+    await deleteTrashSnapshot(rootDir, docId);
+    await writeManifest(
+      rootDir,
+      { spaceId, docs: manifestDocs, tombstones, exports: manifest.exports },
+      MANIFEST_NAME
+    );
+    console.log(`Restored ${fileRel} as ${documentId}.`);
+    restored += 1;
+  }
+  return { restored, failed };
+}
+
+async function restoreVersion(pair, docId, selector, push, token) {
+  const { rootDir } = pair;
+  const manifest = await readManifest(rootDir, MANIFEST_NAME);
+  const entry = manifest.docs?.[docId];
+  if (!entry) {
+    throw new Error(`${docId} is no longer synced.`);
+  }
+  const versions = await readHistory(rootDir, docId);
+  const version = findHistoryVersion(versions, selector);
+  if (!version) {
+    throw new Error(
+      `No version ${selector} of ${entry.file}. Run \`npm run history -- ${entry.file}\` to list versions.`
+    );
+  }
+  const markdown = await readHistoryObject(rootDir, version.hash);
+  if (markdown === null) {
+    throw new Error(
+      `Version ${version.number} of ${entry.file} is missing from the history store.`
+    );
+  }
+
+  if (push) {
+    const meta = await fetchDocumentMeta(docId, token);
+    if ((meta.revision_id ?? meta.revisionId ?? null) !== (entry.revisionId ?? null)) {
+      throw new Error(
+        `${entry.file} changed remotely since the last sync. Run \`npm run update\` first, then restore again.`
+      );
+    }
+  }
+
+  const fileAbs = path.join(rootDir, entry.file);
+  if (await fileExists(fileAbs)) {
+    const current = await fs.readFile(fileAbs, 'utf8');
+    if (!versions.some((item) => item.hash === hashText(current))) {
+      await recordHistoryVersion(rootDir, docId, current, { file: entry.file });
+    }
+  }
+  await fs.mkdir(path.dirname(fileAbs), { recursive: true });
+  await fs.writeFile(fileAbs, markdown, 'utf8');
+  const label = `version ${version.number} (${version.hash.slice(0, 10)})`;
+  console.log(`Restored ${entry.file} to ${label}.`);
+  if (!push) {
+    console.log('Run `npm run update` to upload it, or restore again with --push.');
+    return;
+  }
+
+  await uploadMarkdownJournaled({ rootDir, documentId: docId, token, markdown, file: entry.file });
+  const after = await fetchDocumentMeta(docId, token);
+  manifest.docs[docId] = {
+    ...entry,
+    revisionId: after.revision_id ?? after.revisionId ?? entry.revisionId ?? null,
+    title: after.title || entry.title || '',
+    hash: hashMarkdown(markdown),
+  };
+  await writeBaseSnapshot(rootDir, docId, markdown, manifest.docs[docId]);
+  await writeManifest(rootDir, manifest, MANIFEST_NAME);
+  console.log(`Uploaded version ${version.number} of ${entry.file}.`);
+}
+
+async function main() {
+  const { all, push, targets, pairs: pairNames } = parseArgs(process.argv.slice(2));
+  const config = await readConfig();
+  const tokenPath = resolvePath(requireConfigValue(config, 'tokenPath'));
+  const allPairs = resolveSyncPairs(config);
+  const pairs = selectSyncPairs(allPairs, pairNames);
+  const labelled = allPairs.length > 1;
+
+  const versionTarget =
+    !all && targets.length === 2 && isHistoryVersionSelector(targets[1])
+      ? await findSyncedDocument(pairs, targets[0], MANIFEST_NAME)
+      : null;
+  if (versionTarget?.deleted) {
+    throw new Error(
+      `${targets[0]} was deleted. Run \`npm run restore -- ${targets[0]}\` to bring it back first.`
+    );
+  }
+  if (versionTarget) {
+    const token = push ? await readToken(tokenPath) : null;
+    if (push) {
+      configureApiScheduler(resolveApiLimits(config));
+    }
+    await withSyncLock(
+      versionTarget.pair.rootDir,
+      () => restoreVersion(versionTarget.pair, versionTarget.docId, targets[1], push, token),
+      { purpose: 'restore' }
+    );
+    return;
+  }
+  if (push) {
+    throw new Error('--push is only supported when restoring a version: <file> <version>.');
+  }
+
+  const scopes = [];
+  for (const pair of pairs) {
+    const manifest = await readManifest(pair.rootDir, MANIFEST_NAME);
+    const entries = Object.entries(manifest.tombstones || {}).sort(([, a], [, b]) =>
+      String(b.deletedAt || '').localeCompare(String(a.deletedAt || ''))
+    );
+    scopes.push({ pair, manifest, entries });
+  }
+
+  if (!all && !targets.length) {
+    const total = scopes.reduce((sum, scope) => sum + scope.entries.length, 0);
+    if (!total) {
+      console.log('No deleted documents recorded.');
+      return;
+    }
+    console.log(`Deleted documents (${total}):`);
+    for (const { pair, entries } of scopes) {
+      for (const [docId, tombstone] of entries) {
+        const prefix = labelled ? `${pair.name}: ` : '';
+        console.log(`  ${prefix}${describeTombstone(docId, tombstone)}`);
+      }
+    }
+    console.log('\nRun `npm run restore -- <file|documentId>` or `npm run restore -- --all` to restore.');
+    return;
+  }
+
+  let matched = 0;
+  for (const scope of scopes) {
+    const filters = new Set(
+      targets.map((target) =>
+        ensurePosixPath(
+          path.isAbsolute(target) ? path.relative(scope.pair.rootDir, target) : path.normalize(target)
+        )
+      )
+    );
+    scope.selected = scope.entries
+      .filter(([docId, tombstone]) => all || filters.has(docId) || filters.has(tombstone.file))
+      .sort(([, a], [, b]) => compareLocalCreationOrder(a.file || '', b.file || ''));
+    matched += scope.selected.length;
+  }
+  if (!matched) {
+    throw new Error(`No deleted documents match ${targets.join(', ') || '--all'}.`);
+  }
+
+  const token = await readToken(tokenPath);
+  configureApiScheduler(resolveApiLimits(config));
+  let restored = 0;
+  let failed = 0;
+  for (const scope of scopes) {
+    if (!scope.selected.length) continue;
+    const { rootDir } = scope.pair;
+    const result = await withSyncLock(
+      rootDir,
+      async () =>
+        restorePair(scope.pair, scope.selected, await readManifest(rootDir, MANIFEST_NAME), token),
+      { purpose: 'restore' }
+    );
+    restored += result.restored;
+    failed += result.failed;
+  }
+
+  console.log(`Restore complete. Restored: ${restored}, Failed: ${failed}`);
+}
+
+main().catch((err) => {
+  console.error(err.message || err);
+  process.exit(1);
+});
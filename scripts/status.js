@@ -0,0 +1,88 @@
+import { readConfig, requireConfigValue, resolvePath } from '../config.js';
+import {
+  readToken,
+  resolveSyncPairs,
+  selectSyncPairs,
+  loadSyncFilter,
+  resolveApiLimits,
+  readJournalEntries,
+} from '../api/helpers.js';
+import { configureApiScheduler } from '../api/feishu.js';
+import { collectSyncStatus, formatSyncStatus } from '../api/sync-plan.js';
+
+if (typeof fetch !== 'function') {
+  console.error('This CLI requires Node.js 18+ (global fetch).');
+  process.exit(1);
+}
+
+const MANIFEST_NAME = '.feishu-sync.json';
+const USAGE = 'Usage: npm run status -- [--json] [--pair <name>]';
+
+function parseArgs(argv) {
+  const options = { json: false, pairs: [] };
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+    if (arg === '--json') {
+      options.json = true;
+    } else if (arg === '--pair' && argv[i + 1]) {
+      options.pairs.push(argv[i + 1]);
+      i += 1;
+    } else if (arg.startsWith('--pair=')) {
+      options.pairs.push(arg.slice('--pair='.length));
+    } else {
+      throw new Error(USAGE);
+    }
+  }
+  return options;
+}
+
+async function pairStatus(pair, token) {
+  const status = await collectSyncStatus({
+    rootDir: pair.rootDir,
+    spaceId: pair.spaceId,
+    driveFolderToken: pair.driveFolderToken,
+    token,
+    manifestName: MANIFEST_NAME,
+    syncFilter: await loadSyncFilter(pair.rootDir, pair.config),
+  });
+  const pending = (await readJournalEntries(pair.rootDir)).length;
+  return pending ? { ...status, interruptedOperations: pending } : status;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const config = await readConfig();
+  const tokenPath = resolvePath(requireConfigValue(config, 'tokenPath'));
+  const allPairs = resolveSyncPairs(config);
+  const pairs = selectSyncPairs(allPairs, options.pairs);
+  const token = await readToken(tokenPath);
+  configureApiScheduler(resolveApiLimits(config));
+
+  const labelled = allPairs.length > 1;
+  const results = [];
+  for (const pair of pairs) {
+    const status = await pairStatus(pair, token);
+    results.push({ name: pair.name, ...status });
+    if (options.json) continue;
+    if (labelled) {
+      console.log(`== ${pair.name} (${pair.rootDir})`);
+    }
+    console.log(formatSyncStatus(status));
+    if (status.interruptedOperations) {
+      const count = status.interruptedOperations;
+      console.warn(`Warning: ${count} interrupted operation(s) will be recovered by the next sync.`);
+    }
+    if (labelled) {
+      console.log('');
+    }
+  }
+
+  if (options.json) {
+    console.log(JSON.stringify(labelled ? { pairs: results } : results[0], null, 2));
+  }
+}
+
+main().catch((err) => {
+  console.error(err.message || err);
+  process.exit(1);
+});
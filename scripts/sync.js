@@ -7,18 +7,30 @@ import { readConfig, requireConfigValue, resolvePath } from '../config.js';
 import {
   readToken,
   readManifest,
-  resolveSyncFolder,
+  resolveSyncPairs,
   pickAppCredentials,
   normalizeLoggerLevel,
   normalizeFileTypes,
   startLocalWatcher,
   resolveFileType,
+  resolveDeleteLimits,
+  loadSyncFilter,
+  resolveApiLimits,
+  withSyncLock,
+  resolveGitOptions,
+  resolveSyncMode,
+  resolveVerifyOptions,
+  resolveTableExportOptions,
 } from '../api/helpers.js';
 import {
   subscribeToDocEvents,
+  collectDriveDocNodes,
   createChangeProcessor,
   syncNewDocsFromWiki,
+  recoverJournal,
+  configureApiScheduler,
 } from '../api/feishu.js';
+import { commitSyncChanges } from '../api/git.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -37,6 +49,7 @@ const SYNC_DEFAULTS = {
   localIgnoreWindowMs: 2000,
   fileTypes: ['doc', 'docx'],
   subscribeEvents: true,
+  folderEventType: 'file.created_in_folder_v1',
   eventTypes: [
     'drive.file.created_in_folder_v1',
     'drive.file.edit_v1',
@@ -62,86 +75,93 @@ function requirePositiveNumber(config, keyPath) {
   return value;
 }
 
-async function main() {
-  const config = await readConfig();
-  const tokenPath = resolvePath(requireConfigValue(config, 'tokenPath'));
-  const spaceId = requireConfigValue(config, 'wikiSpaceId');
-  const folderInput = requireConfigValue(config, 'sync.folderPath');
-  const manifestName = SYNC_DEFAULTS.manifestName;
-  const rootDir = resolveSyncFolder(folderInput);
-  await fs.mkdir(rootDir, { recursive: true });
-  const token = await readToken(tokenPath);
-
-  const { appId, appSecret } = pickAppCredentials(config);
-
-  const debounceMs = SYNC_DEFAULTS.debounceMs;
-  const dedupeWindowMs = SYNC_DEFAULTS.dedupeWindowMs;
-  const localIgnoreWindowMs = SYNC_DEFAULTS.localIgnoreWindowMs;
-  const logEvents = SYNC_DEFAULTS.logEvents;
-  const fileTypes = normalizeFileTypes(SYNC_DEFAULTS.fileTypes);
-  const subscribeEvents = SYNC_DEFAULTS.subscribeEvents;
-  const pollIntervalSecondsRaw = requireConfigValue(
-    config,
-    'sync.pollIntervalSeconds'
-  );
-  const pollDisabled =
-    pollIntervalSecondsRaw === false ||
-    pollIntervalSecondsRaw === 0 ||
-    pollIntervalSecondsRaw === '0';
-  const pollIntervalSeconds = pollDisabled
-    ? 0
-    : requirePositiveNumber(config, 'sync.pollIntervalSeconds');
-
-  const eventTypes = SYNC_DEFAULTS.eventTypes;
+function resolvePollIntervalSeconds(config) {
+  const raw = requireConfigValue(config, 'sync.pollIntervalSeconds');
+  if (raw === false || raw === 0 || raw === '0') return 0;
+  return requirePositiveNumber(config, 'sync.pollIntervalSeconds');
+}
 
-  const loggerLevel = normalizeLoggerLevel(
-    SYNC_DEFAULTS.loggerLevel,
-    Lark.LoggerLevel
-  );
-  const initialSync = requireBoolean(config, 'sync.initialSync');
+async function startSyncPair(pair, shared) {
+  const {
+    token,
+    manifestName,
+    debounceMs,
+    dedupeWindowMs,
+    localIgnoreWindowMs,
+    logEvents,
+    fileTypes,
+    subscribeEvents,
+    subscribeToDocument,
+    folderEventType,
+    labelled,
+  } = shared;
+  const { rootDir, spaceId, driveFolderToken } = pair;
+  const label = labelled ? ` [${pair.name}]` : '';
+  await fs.mkdir(rootDir, { recursive: true });
+  const deleteLimits = resolveDeleteLimits(pair.config);
+  const syncFilter = await loadSyncFilter(rootDir, pair.config);
+  const git = resolveGitOptions(pair.config);
+  const mode = resolveSyncMode(pair.config);
+  const tableExports = resolveTableExportOptions(pair.config);
+  const pollIntervalSeconds = resolvePollIntervalSeconds(pair.config);
+  const initialSync = requireBoolean(pair.config, 'sync.initialSync');
+  const log = {
+    info: (message) => console.log(`[realtime-sync]${label} ${message}`),
+    warn: (message) => console.warn(`[realtime-sync]${label} ${message}`),
+  };
+  if (mode !== 'both') {
+    log.info(`one-way ${mode} mode`);
+  }
 
   let ignoreLocalChanges = false;
-  const subscribedDocs = new Set();
-  const subscribeToDocument = async (docId, fileType) => {
-    if (!subscribeEvents) return;
-    if (!docId) return;
-    if (subscribedDocs.has(docId)) return;
-    const normalizedType = fileType ? String(fileType).toLowerCase() : 'docx';
-    if (fileTypes && !fileTypes.has(normalizedType)) return;
-    try {
-      await subscribeToDocEvents(docId, token, normalizedType);
-      subscribedDocs.add(docId);
-      if (logEvents) {
-        console.log(`[realtime-sync] subscribed ${docId} (${normalizedType})`);
-      }
-    } catch (err) {
-      console.warn(
-        `[realtime-sync] subscribe failed for ${docId}: ${err.message || err}`
-      );
-    }
-  };
+  const subscribedFolders = new Set();
+  const ownsFolder = (folderToken) => subscribedFolders.has(folderToken);
 
   const subscribeManifestDocs = async () => {
     if (!subscribeEvents) return;
     const manifest = await readManifest(rootDir, manifestName);
     const entries = Object.entries(manifest.docs || {});
-    for (const [docId, entry] of entries) {
-      await subscribeToDocument(docId, resolveFileType(null, entry));
+    await Promise.all(
+      entries.map(([docId, entry]) => subscribeToDocument(docId, resolveFileType(null, entry)))
+    );
+    if (logEvents) {
+      console.log(`[realtime-sync]${label} subscription scan complete (${entries.length} docs)`);
+    }
+  };
+
+  const subscribeDriveFolders = async () => {
+    if (!subscribeEvents || !driveFolderToken) return;
+    const folders = new Map();
+    await collectDriveDocNodes(token, driveFolderToken, [], '', folders);
+    for (const [dir, folderToken] of folders.entries()) {
+      if (subscribedFolders.has(folderToken)) continue;
+      try {
+        await subscribeToDocEvents(folderToken, token, 'folder', folderEventType);
+        subscribedFolders.add(folderToken);
+      } catch (err) {
+        console.warn(
+          `[realtime-sync]${label} subscribe failed for folder ${dir || '/'}: ${err.message || err}`
+        );
+      }
     }
     if (logEvents) {
-      console.log(`[realtime-sync] subscription scan complete (${entries.length} docs)`);
+      console.log(`[realtime-sync]${label} folder subscription complete (${folders.size} folders)`);
     }
   };
 
   const runFullSync = async (reason) => {
     const reasonText = reason ? ` (${reason})` : '';
-    console.log(`[realtime-sync] running full sync${reasonText}`);
+    console.log(`[realtime-sync]${label} running full sync${reasonText}`);
     const result = await new Promise((resolve) => {
-      const child = spawn(process.execPath, [path.join(__dirname, 'update.js')], {
-        stdio: 'inherit',
-      });
+      const child = spawn(
+        process.execPath,
+        [path.join(__dirname, 'update.js'), '--pair', pair.name],
+        {
+          stdio: 'inherit',
+        }
+      );
       child.on('error', (err) => {
-        console.error(`[realtime-sync] full sync failed: ${err.message || err}`);
+        console.error(`[realtime-sync]${label} full sync failed: ${err.message || err}`);
       });
       child.on('exit', (code, signal) => {
         resolve({ code, signal });
@@ -151,9 +171,18 @@ async function main() {
       result.code === 0
         ? 'completed'
         : `failed (code ${result.code ?? 'unknown'}, signal ${result.signal ?? 'none'})`;
-    console.log(`[realtime-sync] full sync ${status}`);
+    console.log(`[realtime-sync]${label} full sync ${status}`);
     if (result.code === 0) {
       await subscribeManifestDocs();
+      await subscribeDriveFolders();
+    }
+  };
+
+  const commitBatch = async (changes) => {
+    try {
+      await commitSyncChanges({ rootDir, manifestName, changes, token, git, log });
+    } catch (err) {
+      log.warn(`git commit failed: ${err.message || err}`);
     }
   };
 
@@ -163,10 +192,15 @@ async function main() {
       await syncNewDocsFromWiki({
         rootDir,
         spaceId,
+        driveFolderToken,
         token,
         logEvents,
         subscribeToDocument,
         manifestName,
+        syncFilter,
+        onBatchSynced: commitBatch,
+        mode,
+        tableExports,
       });
     } finally {
       ignoreLocalChanges = false;
@@ -174,7 +208,7 @@ async function main() {
   };
 
   const startPolling = () => {
-    if (pollDisabled || !pollIntervalSeconds) return;
+    if (!pollIntervalSeconds) return;
     let running = false;
     const intervalMs = pollIntervalSeconds * 1000;
     setInterval(() => {
@@ -182,13 +216,13 @@ async function main() {
       running = true;
       pollForNewDocs()
         .catch((err) => {
-          console.error(`[realtime-sync] poll sync failed: ${err.message || err}`);
+          console.error(`[realtime-sync]${label} poll sync failed: ${err.message || err}`);
         })
         .finally(() => {
           running = false;
         });
     }, intervalMs);
-    console.log(`[realtime-sync] polling every ${pollIntervalSeconds}s`);
+    console.log(`[realtime-sync]${label} polling every ${pollIntervalSeconds}s`);
   };
 
   const {
@@ -196,10 +230,10 @@ async function main() {
     handleLocalChange,
     getLastProcessCompletedAt,
     isProcessing,
-    processPending,
   } = createChangeProcessor({
     token,
     spaceId,
+    driveFolderToken,
     rootDir,
     debounceMs,
     dedupeWindowMs,
@@ -208,13 +242,34 @@ async function main() {
     runFullSync,
     subscribeToDocument,
     manifestName,
+    deleteLimits,
+    syncFilter,
+    onBatchSynced: commitBatch,
+    mode,
+    verify: resolveVerifyOptions(pair.config),
+    ownsFolder,
+    log,
   });
 
+  await withSyncLock(
+    rootDir,
+    () =>
+      recoverJournal({
+        rootDir,
+        spaceId,
+        token,
+        manifestName,
+        log,
+      }),
+    { purpose: 'recovery' }
+  );
+
   if (initialSync) {
     await runFullSync('startup');
   }
 
   await subscribeManifestDocs();
+  await subscribeDriveFolders();
   startPolling();
 
   startLocalWatcher(rootDir, {
@@ -225,8 +280,93 @@ async function main() {
     isProcessing,
     shouldIgnoreLocal: () => ignoreLocalChanges,
     manifestName,
+    syncFilter,
   });
 
+  const ownsDocument = async (docId) => {
+    const manifest = await readManifest(rootDir, manifestName);
+    return Boolean(manifest.docs?.[docId]);
+  };
+
+  return { name: pair.name, handleEvent, ownsDocument, ownsFolder };
+}
+
+async function main() {
+  const config = await readConfig();
+  const tokenPath = resolvePath(requireConfigValue(config, 'tokenPath'));
+  const pairs = resolveSyncPairs(config);
+  const manifestName = SYNC_DEFAULTS.manifestName;
+  const token = await readToken(tokenPath);
+  configureApiScheduler(resolveApiLimits(config));
+
+  const { appId, appSecret } = pickAppCredentials(config);
+
+  const logEvents = SYNC_DEFAULTS.logEvents;
+  const fileTypes = normalizeFileTypes(SYNC_DEFAULTS.fileTypes);
+  const subscribeEvents = SYNC_DEFAULTS.subscribeEvents;
+  const eventTypes = SYNC_DEFAULTS.eventTypes;
+
+  const loggerLevel = normalizeLoggerLevel(
+    SYNC_DEFAULTS.loggerLevel,
+    Lark.LoggerLevel
+  );
+
+  const subscribedDocs = new Set();
+  const subscribeToDocument = async (docId, fileType) => {
+    if (!subscribeEvents) return;
+    if (!docId) return;
+    if (subscribedDocs.has(docId)) return;
+    const normalizedType = fileType ? String(fileType).toLowerCase() : 'docx';
+    if (fileTypes && !fileTypes.has(normalizedType)) return;
+    try {
+      await subscribeToDocEvents(docId, token, normalizedType);
+      subscribedDocs.add(docId);
+      if (logEvents) {
+        console.log(`[realtime-sync] subscribed ${docId} (${normalizedType})`);
+      }
+    } catch (err) {
+      console.warn(
+        `[realtime-sync] subscribe failed for ${docId}: ${err.message || err}`
+      );
+    }
+  };
+
+  const shared = {
+    token,
+    manifestName,
+    debounceMs: SYNC_DEFAULTS.debounceMs,
+    dedupeWindowMs: SYNC_DEFAULTS.dedupeWindowMs,
+    localIgnoreWindowMs: SYNC_DEFAULTS.localIgnoreWindowMs,
+    logEvents,
+    fileTypes,
+    subscribeEvents,
+    subscribeToDocument,
+    folderEventType: SYNC_DEFAULTS.folderEventType,
+    labelled: pairs.length > 1,
+  };
+  const runners = [];
+  for (const pair of pairs) {
+    runners.push(await startSyncPair(pair, shared));
+  }
+
+  const dispatchEvent = async (eventType, data) => {
+    const fileToken =
+      data.file_token || data.fileToken || data.resource_id || data.resourceId || '';
+    const folderToken = data.folder_token || data.folderToken || '';
+    const owners = [];
+    for (const runner of runners) {
+      if (fileToken && (await runner.ownsDocument(fileToken))) {
+        owners.push(runner);
+      }
+    }
+    if (!owners.length && folderToken) {
+      owners.push(...runners.filter((runner) => runner.ownsFolder(folderToken)));
+    }
+    for (const runner of owners.length ? owners : runners) {
+      runner.handleEvent(eventType, data);
+    }
+  };
+
   const wsClient = new Lark.WSClient({
     appId,
     appSecret,
@@ -236,7 +376,7 @@ async function main() {
   const dispatcher = new Lark.EventDispatcher({ loggerLevel });
   const handlers = {};
   for (const eventType of eventTypes) {
-    handlers[eventType] = async (data) => handleEvent(eventType, data);
+    handlers[eventType] = async (data) => dispatchEvent(eventType, data);
   }
   dispatcher.register(handlers);
 
@@ -1,25 +1,28 @@
-import fs from 'node:fs/promises';
-import path from 'node:path';
 import { readConfig, requireConfigValue, resolvePath } from '../config.js';
 import {
   readToken,
-  hashFile,
-  readManifest,
-  writeManifest,
-  sanitizeFilename,
-  ensurePosixPath,
-  ensureUniqueFilePath,
-  buildConflictPath,
-  resolveFileType,
+  resolveSyncPairs,
+  selectSyncPairs,
+  resolveDeleteLimits,
+  loadSyncFilter,
+  resolveApiLimits,
+  withSyncLock,
+  readJournalEntries,
+  resolveGitOptions,
+  resolveSyncMode,
+  resolveVerifyOptions,
+  resolveTableExportOptions,
 } from '../api/helpers.js';
+import { configureApiScheduler, recoverJournal } from '../api/feishu.js';
+import { commitSyncChanges } from '../api/git.js';
 import {
-  deleteRemoteDocument,
-  collectWikiDocNodes,
-  fetchDocumentMeta,
-  downloadDocumentToFile,
-  uploadMarkdownToDocument,
-  createDocumentFromMarkdown,
-} from '../api/feishu.js';
+  planSync,
+  applySyncPlan,
+  checkPlanDeleteLimits,
+  describePlan,
+  formatPlanTable,
+  listPlanChanges,
+} from '../api/sync-plan.js';
 
 if (typeof fetch !== 'function') {
   console.error('This CLI requires Node.js 18+ (global fetch).');
@@ -27,294 +30,154 @@ if (typeof fetch !== 'function') {
 }
 
 const MANIFEST_NAME = '.feishu-sync.json';
-
-function expandHomeDir(inputPath) {
-  if (!inputPath) return inputPath;
-  if (inputPath === '~') return process.env.HOME || inputPath;
-  if (inputPath.startsWith('~/')) {
-    const home = process.env.HOME || '';
-    return path.join(home, inputPath.slice(2));
+const USAGE = 'Usage: npm run update -- [--dry-run [--json]] [--allow-deletes] [--pair <name>]';
+
+function parseArgs(argv) {
+  const options = { dryRun: false, json: false, allowDeletes: false, pairs: [] };
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+    if (arg === '--dry-run') {
+      options.dryRun = true;
+    } else if (arg === '--json') {
+      options.json = true;
+    } else if (arg === '--allow-deletes') {
+      options.allowDeletes = true;
+    } else if (arg === '--pair' && argv[i + 1]) {
+      options.pairs.push(argv[i + 1]);
+      i += 1;
+    } else if (arg.startsWith('--pair=')) {
+      options.pairs.push(arg.slice('--pair='.length));
+    } else {
+      throw new Error(USAGE);
+    }
   }
-  return inputPath;
+  if (options.json && !options.dryRun) {
+    throw new Error('--json is only supported together with --dry-run.');
+  }
+  return options;
 }
 
-function isMarkdownFile(entry) {
-  return entry.toLowerCase().endsWith('.md');
+async function syncPair(pair, token, options, log) {
+  if (options.dryRun) {
+    return runPairSync(pair, token, options, log);
+  }
+  return withSyncLock(pair.rootDir, () => runPairSync(pair, token, options, log), {
+    purpose: 'update',
+  });
 }
 
-async function listMarkdownFiles(rootDir, manifestName) {
-  const files = [];
-  const skipDirs = new Set(['.git', 'node_modules']);
-
-  const walk = async (dir) => {
-    const entries = await fs.readdir(dir, { withFileTypes: true });
-    for (const entry of entries) {
-      if (entry.name === manifestName) continue;
-      if (entry.isDirectory()) {
-        if (skipDirs.has(entry.name)) continue;
-        await walk(path.join(dir, entry.name));
-        continue;
+async function runPairSync(pair, token, options, log) {
+  const deleteLimits = resolveDeleteLimits(pair.config);
+  const syncFilter = await loadSyncFilter(pair.rootDir, pair.config);
+  if (options.dryRun) {
+    const pending = (await readJournalEntries(pair.rootDir)).length;
+    if (pending) {
+      log.warn(
+        `Warning: ${pending} interrupted operation(s) will be recovered before the next real run.`
+      );
+    }
+  } else {
+    await recoverJournal({
+      rootDir: pair.rootDir,
+      spaceId: pair.spaceId,
+      token,
+      manifestName: MANIFEST_NAME,
+      log,
+    });
+  }
+  const plan = await planSync({
+    rootDir: pair.rootDir,
+    spaceId: pair.spaceId,
+    driveFolderToken: pair.driveFolderToken,
+    token,
+    manifestName: MANIFEST_NAME,
+    syncFilter,
+    mode: resolveSyncMode(pair.config),
+    tableExports: resolveTableExportOptions(pair.config),
+  });
+  const deleteProblems = options.allowDeletes ? [] : checkPlanDeleteLimits(plan, deleteLimits);
+
+  if (options.dryRun) {
+    const description = describePlan(plan);
+    description.warnings.push(...deleteProblems);
+    if (!options.json) {
+      log.info(formatPlanTable(plan));
+      for (const warning of plan.warnings) {
+        log.warn(`Warning: ${warning}`);
+      }
+      for (const problem of deleteProblems) {
+        log.warn(`Warning: ${problem} A real run would abort without --allow-deletes.`);
       }
-      if (!entry.isFile()) continue;
-      if (!isMarkdownFile(entry.name)) continue;
-      if (entry.name.endsWith('.remote.md')) continue;
-      const fullPath = path.join(dir, entry.name);
-      const relPath = ensurePosixPath(path.relative(rootDir, fullPath));
-      files.push({ fullPath, relPath });
+      log.info('Dry run: no changes were made.');
     }
-  };
+    return description;
+  }
 
-  await walk(rootDir);
-  return files;
-}
+  if (deleteProblems.length) {
+    throw new Error(
+      `${deleteProblems.join('\n')}\nCheck the sync folder and remote documents, then re-run with --allow-deletes if this is intended.`
+    );
+  }
 
-async function deleteLocalFile(filePath) {
+  for (const warning of plan.warnings) {
+    log.warn(`Warning: ${warning}`);
+  }
+  const stats = await applySyncPlan(plan, {
+    token,
+    verify: resolveVerifyOptions(pair.config),
+    log,
+  });
+  log.info(
+    `Sync complete. Downloaded: ${stats.downloaded}, Uploaded: ${stats.uploaded}, Deleted Local: ${stats.deletedLocal}, Deleted Remote: ${stats.deletedRemote}, Moved: ${stats.moved}, Merged: ${stats.merged}, Conflicts: ${stats.conflicts}, Skipped: ${stats.skipped}, Exported: ${stats.exported}`
+  );
   try {
-    await fs.unlink(filePath);
-    return true;
+    await commitSyncChanges({
+      rootDir: pair.rootDir,
+      manifestName: MANIFEST_NAME,
+      changes: listPlanChanges(plan),
+      token,
+      git: resolveGitOptions(pair.config),
+      log,
+    });
   } catch (err) {
-    if (err && err.code === 'ENOENT') return false;
-    throw err;
+    log.warn(`Warning: git commit failed: ${err.message || err}`);
   }
+  return stats;
 }
 
-
-
 async function main() {
+  const options = parseArgs(process.argv.slice(2));
   const config = await readConfig();
-  const spaceId = requireConfigValue(config, 'wikiSpaceId');
-  const folderInput = requireConfigValue(config, 'sync.folderPath');
-  const manifestName = MANIFEST_NAME;
   const tokenPath = resolvePath(requireConfigValue(config, 'tokenPath'));
-
-  const resolvedFolder = path.resolve(expandHomeDir(folderInput));
-  await fs.mkdir(resolvedFolder, { recursive: true });
-
+  const allPairs = resolveSyncPairs(config);
+  const pairs = selectSyncPairs(allPairs, options.pairs);
   const token = await readToken(tokenPath);
-  const manifest = await readManifest(resolvedFolder, manifestName);
-  const manifestDocs = manifest.docs || {};
-  manifest.spaceId = spaceId;
-
-  const localFiles = await listMarkdownFiles(resolvedFolder, manifestName);
-  const localMap = new Map();
-  for (const file of localFiles) {
-    const hash = await hashFile(file.fullPath);
-    localMap.set(file.relPath, { ...file, hash });
-  }
-
-  const wikiDocs = [];
-  await collectWikiDocNodes(spaceId, token, undefined, wikiDocs);
-
-  const remoteDocs = [];
-  for (const node of wikiDocs) {
-    const meta = await fetchDocumentMeta(node.documentId, token);
-    remoteDocs.push({
-      documentId: node.documentId,
-      nodeToken: node.nodeToken,
-      title: meta.title || node.title || '',
-      revisionId: meta.revision_id ?? meta.revisionId ?? null,
-      fileType: node.objType || 'docx',
-    });
-  }
-
-  const remoteMap = new Map(remoteDocs.map((doc) => [doc.documentId, doc]));
-  const usedPaths = new Set(localFiles.map((file) => file.relPath));
-  for (const entry of Object.values(manifestDocs)) {
-    if (entry && entry.file) {
-      usedPaths.add(entry.file);
-    }
-  }
-
-  let downloaded = 0;
-  let uploaded = 0;
-  let conflicts = 0;
-  let skipped = 0;
-  let deletedLocal = 0;
-  let deletedRemote = 0;
-
-  for (const doc of remoteDocs) {
-    const existing = manifestDocs[doc.documentId];
-    const baseName = sanitizeFilename(doc.title) || doc.documentId;
-    const desiredName = `${baseName}.md`;
-    let fileRel = existing?.file;
-    const renameCandidates = new Set(usedPaths);
-    if (fileRel) {
-      renameCandidates.delete(fileRel);
-    }
-    const desiredRel = await ensureUniqueFilePath(
-      resolvedFolder,
-      desiredName,
-      renameCandidates
-    );
-    if (!fileRel) {
-      fileRel = desiredRel;
-    } else if (desiredRel && desiredRel !== fileRel) {
-      const oldRel = fileRel;
-      const oldInfo = localMap.get(oldRel);
-      const oldAbs = path.join(resolvedFolder, oldRel);
-      const newAbs = path.join(resolvedFolder, desiredRel);
-      if (oldInfo) {
-        await fs.rename(oldAbs, newAbs);
-        localMap.delete(oldRel);
-        localMap.set(desiredRel, { ...oldInfo, relPath: desiredRel, fullPath: newAbs });
-      }
-      usedPaths.delete(oldRel);
-      usedPaths.add(desiredRel);
-      fileRel = desiredRel;
-      if (existing) {
-        existing.file = fileRel;
-      }
-    }
-
-    const fileAbs = path.join(resolvedFolder, fileRel);
-    const localInfo = localMap.get(fileRel);
-    const localExists = Boolean(localInfo);
-
-    if (!existing) {
-      const hash = await downloadDocumentToFile(
-        doc.documentId,
-        token,
-        {
-          document_id: doc.documentId,
-          revision_id: doc.revisionId,
-          title: doc.title,
-        },
-        fileAbs
-      );
-      manifestDocs[doc.documentId] = {
-        file: fileRel,
-        revisionId: doc.revisionId,
-        title: doc.title,
-        fileType: resolveFileType(doc),
-        hash,
-      };
-      usedPaths.add(fileRel);
-      localMap.set(fileRel, { fullPath: fileAbs, relPath: fileRel, hash });
-      downloaded += 1;
-      continue;
-    }
-
-    if (!localExists) {
-      await deleteRemoteDocument(doc.documentId, token, resolveFileType(doc, existing));
-      delete manifestDocs[doc.documentId];
-      deletedRemote += 1;
-      continue;
-    }
-
-    const localChanged =
-      existing.hash && localInfo.hash && existing.hash !== localInfo.hash;
-    const remoteChanged =
-      existing.revisionId && doc.revisionId && existing.revisionId !== doc.revisionId;
-
-    if (remoteChanged && localChanged) {
-      const conflictRel = buildConflictPath(fileRel);
-      const conflictAbs = path.join(resolvedFolder, conflictRel);
-      await downloadDocumentToFile(
-        doc.documentId,
-        token,
-        {
-          document_id: doc.documentId,
-          revision_id: doc.revisionId,
-          title: doc.title,
-        },
-        conflictAbs
-      );
-      conflicts += 1;
-      continue;
-    }
-
-    if (remoteChanged && !localChanged) {
-      const hash = await downloadDocumentToFile(
-        doc.documentId,
-        token,
-        {
-          document_id: doc.documentId,
-          revision_id: doc.revisionId,
-          title: doc.title,
-        },
-        fileAbs
-      );
-      manifestDocs[doc.documentId] = {
-        ...existing,
-        file: fileRel,
-        revisionId: doc.revisionId,
-        title: doc.title,
-        fileType: resolveFileType(doc, existing),
-        hash,
-      };
-      localMap.set(fileRel, { ...localInfo, hash });
-      downloaded += 1;
-      continue;
-    }
-
-    if (localChanged && !remoteChanged) {
-      const markdown = await fs.readFile(localInfo.fullPath, 'utf8');
-      await uploadMarkdownToDocument(doc.documentId, token, markdown);
-      const meta = await fetchDocumentMeta(doc.documentId, token);
-      manifestDocs[doc.documentId] = {
-        ...existing,
-        file: fileRel,
-        revisionId: meta.revision_id ?? meta.revisionId ?? doc.revisionId,
-        title: meta.title || doc.title,
-        fileType: resolveFileType(doc, existing),
-        hash: localInfo.hash,
-      };
-      uploaded += 1;
-      continue;
-    }
-
-    manifestDocs[doc.documentId] = {
-      ...existing,
-      file: fileRel,
-      revisionId: doc.revisionId,
-      title: doc.title,
-      fileType: resolveFileType(doc, existing),
-      hash: localInfo.hash || existing.hash,
+  configureApiScheduler(resolveApiLimits(config));
+
+  const labelled = allPairs.length > 1;
+  const results = [];
+  let failed = 0;
+  for (const pair of pairs) {
+    const prefix = labelled ? `[${pair.name}] ` : '';
+    const log = {
+      info: (message) => console.log(`${prefix}${message}`),
+      warn: (message) => console.warn(`${prefix}${message}`),
     };
-    skipped += 1;
-  }
-
-  for (const [docId, entry] of Object.entries({ ...manifestDocs })) {
-    if (remoteMap.has(docId)) continue;
-    const fileRel = entry.file;
-    if (!fileRel) {
-      delete manifestDocs[docId];
-      continue;
-    }
-    const localInfo = localMap.get(fileRel);
-    if (localInfo) {
-      await deleteLocalFile(localInfo.fullPath);
-      localMap.delete(fileRel);
-      deletedLocal += 1;
+    try {
+      results.push({ name: pair.name, ...(await syncPair(pair, token, options, log)) });
+    } catch (err) {
+      if (!labelled) throw err;
+      console.error(`${prefix}${err.message || err}`);
+      failed += 1;
     }
-    delete manifestDocs[docId];
   }
 
-  const fileToDoc = new Map();
-  for (const [docId, entry] of Object.entries(manifestDocs)) {
-    if (entry.file) fileToDoc.set(entry.file, docId);
+  if (options.json) {
+    console.log(JSON.stringify(labelled ? { pairs: results } : results[0], null, 2));
   }
-
-  for (const [fileRel, localInfo] of localMap.entries()) {
-    if (fileToDoc.has(fileRel)) continue;
-    const markdown = await fs.readFile(localInfo.fullPath, 'utf8');
-    const newDocId = await createDocumentFromMarkdown(spaceId, token, markdown);
-    const meta = await fetchDocumentMeta(newDocId, token);
-    manifestDocs[newDocId] = {
-      file: fileRel,
-      revisionId: meta.revision_id ?? meta.revisionId ?? null,
-      title: meta.title || '',
-      fileType: 'docx',
-      hash: localInfo.hash,
-    };
-    uploaded += 1;
+  if (failed) {
+    throw new Error(`Sync failed for ${failed} of ${pairs.length} pairs.`);
   }
-
-  await writeManifest(resolvedFolder, { spaceId, docs: manifestDocs }, manifestName);
-
-  console.log(
-    `Sync complete. Downloaded: ${downloaded}, Uploaded: ${uploaded}, Deleted Local: ${deletedLocal}, Deleted Remote: ${deletedRemote}, Conflicts: ${conflicts}, Skipped: ${skipped}`
-  );
 }
 
 main().catch((err) => {
@@ -1,7 +1,7 @@
 import fs from 'node:fs/promises';
 import { readConfig, requireConfigValue, resolvePath } from '../config.js';
-import { readToken } from '../api/helpers.js';
-import { createDocumentFromMarkdown } from '../api/feishu.js';
+import { readToken, resolveApiLimits } from '../api/helpers.js';
+import { createDocumentFromMarkdown, configureApiScheduler } from '../api/feishu.js';
 
 if (typeof fetch !== 'function') {
   console.error('This CLI requires Node.js 18+ (global fetch).');
@@ -21,8 +21,9 @@ async function main() {
 
   const markdown = await fs.readFile(inputPath, 'utf8');
   const token = await readToken(tokenPath);
+  configureApiScheduler(resolveApiLimits(config));
 
-  const documentId = await createDocumentFromMarkdown(wikiSpaceId, token, markdown);
+  const { documentId } = await createDocumentFromMarkdown(wikiSpaceId, token, markdown);
   console.log(`Uploaded document: ${documentId}`);
 }
 